@@ -0,0 +1,158 @@
+import {getDiagonalRule} from "./diagonal_rules.js";
+import {getTerrainEdgeCosts, getWallCosts} from "./edge_costs.js";
+import {getGridPositionFromPixels} from "./foundry_fixes.js";
+import {measureSegments} from "./measure.js";
+import {collectRegions} from "./regions.js";
+import {getRoundingPolicy} from "./rounding.js";
+import {withSnapshot} from "./snapshot.js";
+
+// The number of requests that are measured before control is handed back to the event loop
+const DEFAULT_CHUNK_SIZE = 20;
+
+// Measures many paths at once, for modules that need to compare lots of candidate routes (like token AIs or encounter automation).
+// Every request is either a list of waypoints ({x, y} in pixels, optionally with an `elevation`) or an object {waypoints, options}
+// whose options override the options shared by all requests. The requests aren't modified.
+// Supported options are those of `measureDistances`, plus
+// - `chunkSize`: The number of requests that are measured before other tasks get a chance to run (defaults to 20)
+// - `snapshot`: A snapshot (see snapshot.js) to measure against instead of the live canvas
+// Resolves to one result per request, as returned by `createBatchResult`.
+export async function measureBatch(requests, options={}) {
+	const {chunkSize=DEFAULT_CHUNK_SIZE, snapshot, ...sharedOptions} = options;
+	if (snapshot && !sharedOptions.diagonalRule)
+		sharedOptions.diagonalRule = snapshot.grid.diagonalRule;
+	if (snapshot && !sharedOptions.rounding)
+		sharedOptions.rounding = snapshot.grid.rounding;
+
+	const results = [];
+	for (let i = 0;i < requests.length;i++) {
+		if (i > 0 && i % chunkSize === 0)
+			await new Promise(resolve => setTimeout(resolve, 0));
+		results.push(withSnapshot(snapshot, () => measureRequest(requests[i], sharedOptions)));
+	}
+	return results;
+}
+
+function measureRequest(request, sharedOptions) {
+	const waypoints = Array.isArray(request) ? request : request.waypoints;
+	// The options are copied, since measuring stores the cost function in them
+	const options = {...sharedOptions, ...request.options};
+	const segments = [];
+	for (let i = 1;i < waypoints.length;i++) {
+		const [A, B] = [waypoints[i - 1], waypoints[i]];
+		segments.push({
+			ray: new Ray({x: A.x, y: A.y}, {x: B.x, y: B.y}),
+			startElevation: A.elevation,
+			endElevation: B.elevation,
+		});
+	}
+	const distances = segments.length > 0 ? measureSegments(segments, options) : [];
+	return createBatchResult(segments, distances);
+}
+
+// Collects the results of a request into a plain object:
+// - `distance`: The total distance in scene units
+// - `spaces`: The visited spaces of all segments as {x, y, distance, cost}, where `distance` counts from the first waypoint
+// - `subSegments`: On gridless scenes, the pieces of uniform cost of all segments (see `terrainRulerSubSegments`)
+// - `breakdown`: The breakdown of the total distance (see `terrainRulerBreakdown`)
+// - `blocked`: Whether the path crosses an impassable wall
+// - `finalState`: The state of the diagonal rule after the last segment, which can be passed on as `terrainRulerInitialState`
+// - `segments`: The results of the individual segments as {distance, spaces, subSegments, path, breakdown, blocked}
+function createBatchResult(segments, distances) {
+	const result = {
+		distance: 0,
+		spaces: [],
+		subSegments: [],
+		breakdown: {plain: 0, terrain: 0, diagonals: 0, edges: 0, vertical: 0, rounding: 0},
+		blocked: false,
+		finalState: undefined,
+		segments: [],
+	};
+	segments.forEach(({ray}, i) => {
+		const startDistance = result.distance;
+		const spaces = ray.terrainRulerVisitedSpaces ?? [];
+		// Every segment starts at the space the previous one ended in
+		for (const space of result.spaces.length > 0 ? spaces.slice(1) : spaces)
+			result.spaces.push({...space, distance: space.distance + startDistance});
+		for (const piece of ray.terrainRulerSubSegments ?? [])
+			result.subSegments.push({...piece, distance: piece.distance + startDistance});
+		for (const [key, value] of Object.entries(ray.terrainRulerBreakdown ?? {}))
+			result.breakdown[key] = (result.breakdown[key] ?? 0) + value;
+		result.distance += distances[i];
+		if (ray.terrainRulerBlocked)
+			result.blocked = true;
+		result.finalState = ray.terrainRulerFinalState ?? result.finalState;
+		result.segments.push({
+			distance: distances[i],
+			spaces,
+			subSegments: ray.terrainRulerSubSegments,
+			path: ray.terrainRulerPath,
+			breakdown: ray.terrainRulerBreakdown,
+			blocked: ray.terrainRulerBlocked ?? false,
+		});
+	});
+	return result;
+}
+
+// Captures the current scene for measurements with the given options (like `token`, `movementMode` or `elevation`).
+// Terrain costs are looked up once while the snapshot is created, so they don't reflect later changes to the scene.
+export function createSnapshot(options={}) {
+	const type = canvas.grid.type;
+	const snapshot = {
+		grid: {
+			type,
+			size: canvas.dimensions.size,
+			distance: canvas.dimensions.distance,
+			width: canvas.dimensions.width,
+			height: canvas.dimensions.height,
+			diagonalRule: getDiagonalRule(options).id,
+			rounding: getRoundingPolicy(options).id,
+		},
+		walls: getWallCosts(options),
+		edges: getTerrainEdgeCosts(options),
+	};
+	if (type === CONST.GRID_TYPES.GRIDLESS)
+		snapshot.regions = captureRegionCosts(options);
+	else
+		snapshot.costs = captureGridCosts(options);
+	return snapshot;
+}
+
+function captureGridCosts(options) {
+	const costs = {};
+	const bounds = getGridPositionFromPixels(canvas.dimensions.width - 1, canvas.dimensions.height - 1);
+	for (let x = 0;x <= bounds[0];x++) {
+		for (let y = 0;y <= bounds[1];y++) {
+			const cost = terrainRuler.getCost(x, y, {...options});
+			if (cost !== 1)
+				costs[`${x},${y}`] = cost;
+		}
+	}
+	return costs;
+}
+
+// The cost of a region is looked up at a point within it, preferably one that isn't covered by any other region
+const REGION_SAMPLES = 8;
+
+function captureRegionCosts(options) {
+	const regions = collectRegions();
+	return regions.map(region => {
+		const others = regions.filter(other => other !== region);
+		const points = sampleRegion(region);
+		const point = points.find(point => !others.some(other => other.contains(point))) ?? points[0];
+		const cost = point ? terrainRuler.getCost(point.x, point.y, {...options}) : 1;
+		return {...region, cost};
+	});
+}
+
+function sampleRegion(region) {
+	const {minX, minY, maxX, maxY} = region.bounds;
+	const points = [];
+	for (let i = 0;i < REGION_SAMPLES;i++) {
+		for (let j = 0;j < REGION_SAMPLES;j++) {
+			const point = {x: minX + (maxX - minX) * (i + 0.5) / REGION_SAMPLES, y: minY + (maxY - minY) * (j + 0.5) / REGION_SAMPLES};
+			if (region.contains(point))
+				points.push(point);
+		}
+	}
+	return points;
+}
@@ -0,0 +1,160 @@
+import {getFootprint} from "./footprint.js";
+
+// Caches for terrain costs and measured segments. While dragging a ruler the same spaces and segments are measured over and over
+// again, so results are kept until something on the scene changes that could affect them.
+
+const MAX_CACHED_COSTS = 50000;
+const MAX_CACHED_SEGMENTS = 200;
+
+// Maps an options signature to a map of costs for that signature
+const costCache = new Map();
+let cachedCostCount = 0;
+const segmentCache = new Map();
+// The cost function the cached costs were calculated with. If `terrainRuler.getCost` is replaced, all cached results are stale.
+let cachedGetCost = null;
+// Other caches (like the collected terrain edges) that need to be cleared together with the measurement caches
+const dependentCaches = new Set();
+
+export function invalidateCache() {
+	invalidateMeasurements();
+	for (const clear of dependentCaches)
+		clear();
+}
+
+// Only drops the cached costs and segments. Used for changes that affect the cost of spaces, but not the terrain itself.
+export function invalidateMeasurements() {
+	costCache.clear();
+	cachedCostCount = 0;
+	segmentCache.clear();
+}
+
+// Registers a function that is called whenever the caches are invalidated
+export function onCacheInvalidated(clear) {
+	dependentCaches.add(clear);
+}
+
+// Creates a string that identifies all options that can affect a measurement, or null if the options can't be serialized
+export function getOptionsSignature(options) {
+	try {
+		return JSON.stringify(options, (key, value) => {
+			if (key === "costFunction" || key === "terrainRulerInitialState")
+				return undefined;
+			// Other functions (like a custom `edgeCost`) may return anything, so their results can't be cached
+			if (typeof value === "function")
+				throw new Error("Options containing functions can't be cached");
+			// Apart from its identity only the footprint of the token affects measurements
+			if (key === "token")
+				return value ? {id: value.id, footprint: getFootprint({token: value})} : value;
+			return value;
+		});
+	}
+	catch (e) {
+		return null;
+	}
+}
+
+// Wraps the default cost function, so that costs are only calculated once per space
+export function getCachedCostFunction(options) {
+	const costFunction = terrainRuler.getCost;
+	if (costFunction !== cachedGetCost) {
+		invalidateCache();
+		cachedGetCost = costFunction;
+	}
+	const signature = getOptionsSignature(options);
+	if (signature === null)
+		return costFunction;
+	const cachedCostFunction = (x, y, costOptions=options) => {
+		let costs = costCache.get(signature);
+		if (!costs) {
+			costs = new Map();
+			costCache.set(signature, costs);
+		}
+		// The elevation is the only option that changes while measuring a segment
+		const key = `${x},${y},${costOptions.elevation}`;
+		let cost = costs.get(key);
+		if (cost === undefined) {
+			cost = costFunction(x, y, costOptions);
+			if (cachedCostCount >= MAX_CACHED_COSTS) {
+				costCache.clear();
+				cachedCostCount = 0;
+			}
+			costs.set(key, cost);
+			cachedCostCount++;
+		}
+		return cost;
+	};
+	cachedCostFunction.isTerrainRulerCache = true;
+	return cachedCostFunction;
+}
+
+export function isCachedCostFunction(costFunction) {
+	return costFunction?.isTerrainRulerCache === true;
+}
+
+// Measures the segments one by one via `measure`, reusing the results of segments that have been measured before with the same
+// starting state. The results attached to the rays are restored from the cache as well.
+export function measureSegmentsCached(segments, options, measure) {
+	const signature = getOptionsSignature(options);
+	if (signature === null)
+		return measure(segments, options);
+
+	let state = options.terrainRulerInitialState;
+	return segments.map(segment => {
+		const ray = segment.ray;
+		const key = `${ray.A.x},${ray.A.y},${ray.B.x},${ray.B.y},${segment.startElevation},${segment.endElevation}|${JSON.stringify(state)}|${signature}`;
+		let cached = segmentCache.get(key);
+		if (cached) {
+			// Move the entry to the end, so the least recently used entries are dropped first
+			segmentCache.delete(key);
+			segmentCache.set(key, cached);
+			restoreRayResults(ray, cached.results);
+		}
+		else {
+			const [distance] = measure([segment], {...options, terrainRulerInitialState: state});
+			cached = {distance, results: copyRayResults(ray)};
+			segmentCache.set(key, cached);
+			if (segmentCache.size > MAX_CACHED_SEGMENTS)
+				segmentCache.delete(segmentCache.keys().next().value);
+		}
+		state = ray.terrainRulerFinalState ?? state;
+		return cached.distance;
+	});
+}
+
+// The results are copied in both directions, so callers that modify the rays don't corrupt the cache
+function copyRayResults(ray) {
+	const results = {};
+	for (const [key, value] of Object.entries(ray)) {
+		if (key.startsWith("terrainRuler"))
+			results[key] = copyResult(value);
+	}
+	return results;
+}
+
+function restoreRayResults(ray, results) {
+	for (const [key, value] of Object.entries(results))
+		ray[key] = copyResult(value);
+}
+
+function copyResult(value) {
+	if (Array.isArray(value))
+		return value.map(entry => (entry && typeof entry === "object" ? {...entry} : entry));
+	if (value && typeof value === "object")
+		return {...value};
+	return value;
+}
+
+// Scene changes that can affect measurements
+const INVALIDATING_HOOKS = [
+	"canvasReady", "updateScene",
+	"createTerrain", "updateTerrain", "deleteTerrain",
+	"createMeasuredTemplate", "updateMeasuredTemplate", "deleteMeasuredTemplate",
+	"createWall", "updateWall", "deleteWall",
+	"createDrawing", "updateDrawing", "deleteDrawing",
+	"createTile", "updateTile", "deleteTile",
+];
+
+export function registerCacheInvalidationHooks() {
+	for (const hook of INVALIDATING_HOOKS)
+		Hooks.on(hook, () => invalidateCache());
+}
@@ -0,0 +1,91 @@
+import {invalidateCache} from "./cache.js";
+import {applyMovementMode, getMovementMode, getMovementModeId} from "./movement_modes.js";
+import {isTerrainSpaceRevealed} from "./visibility.js";
+
+// Registry for the sources of terrain cost. Every provider returns the cost for a single space, and the results of all
+// enabled providers are combined into the final cost of that space.
+
+const providers = new Map();
+
+// Strategies to fold the results of the providers together. The cost of a space without any terrain is 1.
+export const COMBINE_STRATEGIES = {
+	// The most expensive terrain wins
+	max: costs => costs.length > 0 ? Math.max(...costs) : 1,
+	// Multipliers stack
+	multiply: costs => costs.reduce((result, cost) => result * cost, 1),
+	// Every provider adds its extra cost on top of the regular cost of 1
+	sum: costs => costs.reduce((result, cost) => result + (cost - 1), 1),
+};
+
+let combineStrategy = "max";
+
+// Registers a cost provider. `fn` is called with the same arguments as `terrainRuler.getCost` (x, y, options) and returns the cost
+// for that space. Providers with a higher priority are evaluated first. Providers that specify their own `combine` strategy are
+// combined with the result of all other providers using that strategy, instead of the globally configured one.
+// `getRegions` returns the areas in which the provider may return a different cost (see regions.js). Gridless measurements are split
+// at the boundaries of these regions, so providers without regions are only sampled along the segments.
+export function registerCostProvider(id, fn, {priority=0, combine, enabled=true, getRegions}={}) {
+	if (typeof fn !== "function")
+		throw new Error(`Terrain Ruler | Cost provider "${id}" must be a function`);
+	if (combine !== undefined && !COMBINE_STRATEGIES[combine])
+		throw new Error(`Terrain Ruler | Unknown combine strategy "${combine}"`);
+	if (providers.has(id))
+		console.warn(`Terrain Ruler | Cost provider "${id}" has been registered twice. The previous registration will be replaced.`);
+	providers.set(id, {id, fn, priority, combine, enabled, getRegions});
+	invalidateCache();
+}
+
+export function unregisterCostProvider(id) {
+	invalidateCache();
+	return providers.delete(id);
+}
+
+// Returns a list of all registered providers, ordered by priority
+export function getCostProviders() {
+	return Array.from(providers.values()).sort((a, b) => b.priority - a.priority).map(provider => ({...provider}));
+}
+
+export function setCostProviderEnabled(id, enabled) {
+	const provider = providers.get(id);
+	if (!provider)
+		throw new Error(`Terrain Ruler | Unknown cost provider "${id}"`);
+	provider.enabled = enabled;
+	invalidateCache();
+}
+
+export function setCombineStrategy(strategy) {
+	if (!COMBINE_STRATEGIES[strategy])
+		throw new Error(`Terrain Ruler | Unknown combine strategy "${strategy}"`);
+	combineStrategy = strategy;
+	invalidateCache();
+}
+
+export function getCombineStrategy() {
+	return combineStrategy;
+}
+
+// Calculates the cost of a space by asking all enabled providers. Spaces whose terrain the user can't see cost nothing extra.
+export function getCombinedCost(x, y, options={}) {
+	if (!isTerrainSpaceRevealed(x, y, options))
+		return 1;
+	const movementMode = getMovementMode(getMovementModeId(options));
+	if (movementMode.ignoreEnvironments.length > 0)
+		options = {...options, ignoreEnvironments: (options.ignoreEnvironments ?? []).concat(movementMode.ignoreEnvironments)};
+	const defaultCosts = [];
+	const ownStrategyCosts = [];
+	for (const provider of getCostProviders()) {
+		if (!provider.enabled || options.disabledCostProviders?.includes(provider.id))
+			continue;
+		const cost = applyMovementMode(movementMode, provider.id, provider.fn(x, y, options));
+		if (cost === undefined || cost === null)
+			continue;
+		if (provider.combine)
+			ownStrategyCosts.push({cost, combine: provider.combine});
+		else
+			defaultCosts.push(cost);
+	}
+	let cost = COMBINE_STRATEGIES[combineStrategy](defaultCosts);
+	for (const entry of ownStrategyCosts)
+		cost = COMBINE_STRATEGIES[entry.combine]([cost, entry.cost]);
+	return cost;
+}
@@ -0,0 +1,135 @@
+import {invalidateCache} from "./cache.js";
+import {getCanvas} from "./snapshot.js";
+
+// Registry for the rules that determine how diagonal movement on square grids is counted.
+// A rule consists of
+// - `initialState(previousState)`: Creates the state at the start of a measurement. `previousState` is the
+//   `terrainRulerInitialState` passed to `measureDistances` (or undefined), which allows continuing a measurement.
+// - `step(cost, isDiagonal, state)`: Calculates how many spaces a step into a space with the given cost is worth.
+//   Returns `{spaces, state}`. The state must be a plain object, since it is handed out as `terrainRulerFinalState`.
+// - `allowsDiagonals` (optional): If false, diagonal steps are avoided wherever possible (for example by the pathfinder)
+// - `combineVertical(horizontal, vertical)` (optional): Calculates the length of a move that covers the given amount of spaces
+//   horizontally and vertically. By default vertical movement is counted like a second axis of the grid.
+
+const rules = new Map();
+
+export function registerDiagonalRule(id, rule) {
+	if (typeof rule.step !== "function")
+		throw new Error(`Terrain Ruler | Diagonal rule "${id}" must provide a step function`);
+	rules.set(id, {
+		id,
+		name: rule.name ?? id,
+		initialState: rule.initialState ?? (previousState => ({...previousState})),
+		step: rule.step,
+		allowsDiagonals: rule.allowsDiagonals ?? true,
+		combineVertical: rule.combineVertical,
+	});
+	invalidateCache();
+}
+
+// Calculates how many spaces vertical movement adds on top of the given horizontal movement
+export function calculateVerticalSpaces(rule, horizontal, vertical) {
+	if (rule.combineVertical)
+		return rule.combineVertical(horizontal, vertical) - horizontal;
+
+	// Treat the vertical axis like a second grid axis: Moving along both axes at once is a diagonal step
+	vertical = Math.round(vertical);
+	let state = rule.initialState();
+	let spaces = 0;
+	const diagonals = Math.min(horizontal, vertical);
+	for (let i = 0;i < diagonals;i++) {
+		const step = rule.step(1, true, state);
+		spaces += step.spaces;
+		state = step.state;
+	}
+	spaces += Math.max(horizontal, vertical) - diagonals;
+	return spaces - horizontal;
+}
+
+export function getDiagonalRules() {
+	return Array.from(rules.values());
+}
+
+// Determines which diagonal rule is active. The rule can be picked via measurement options, per scene or for the whole world.
+// If none of those is set, the rule is derived from the game system and the core diagonal setting.
+export function getDiagonalRule(options={}) {
+	const id = options.diagonalRule || getCanvas().scene?.getFlag("terrain-ruler", "diagonalRule") || game.settings.get("terrain-ruler", "diagonalRule");
+	if (id && id !== "auto") {
+		const rule = rules.get(id);
+		if (rule)
+			return rule;
+		console.warn(`Terrain Ruler | Unknown diagonal rule "${id}", falling back to the default rule`);
+	}
+	return rules.get(getDefaultDiagonalRuleId());
+}
+
+function getDefaultDiagonalRuleId() {
+	if (game.system.id === "pf2e")
+		return "pf2e";
+	if (getCanvas().grid.diagonalRule === "5105")
+		return "5105";
+	if (getCanvas().grid.diagonalRule === "EUCL")
+		return "euclidean";
+	return "555";
+}
+
+function initialNoDiagonalsState(previousState) {
+	return {noDiagonals: previousState?.noDiagonals ?? 0};
+}
+
+export function registerDefaultDiagonalRules() {
+	// Diagonals are treated like regular steps
+	registerDiagonalRule("555", {
+		name: "terrain-ruler.diagonalRules.555",
+		step: (cost, isDiagonal, state) => ({spaces: cost, state}),
+	});
+
+	// Every second diagonal costs twice as much
+	registerDiagonalRule("5105", {
+		name: "terrain-ruler.diagonalRules.5105",
+		initialState: initialNoDiagonalsState,
+		step: (cost, isDiagonal, state) => {
+			if (!isDiagonal)
+				return {spaces: cost, state};
+			let noDiagonals = state.noDiagonals + cost;
+
+			// How many second diagonals do we have?
+			const diagonalCost = noDiagonals >> 1; // Integer divison by two
+			// Store the remainder
+			noDiagonals %= 2;
+
+			return {spaces: cost + diagonalCost, state: {noDiagonals}};
+		},
+	});
+
+	// PF2 diagonal rules: every second diagonal costs one additional space, independent of the terrain
+	registerDiagonalRule("pf2e", {
+		name: "terrain-ruler.diagonalRules.pf2e",
+		initialState: initialNoDiagonalsState,
+		step: (cost, isDiagonal, state) => {
+			if (!isDiagonal)
+				return {spaces: cost, state};
+			return {spaces: cost + state.noDiagonals, state: {noDiagonals: state.noDiagonals === 1 ? 0 : 1}};
+		},
+	});
+
+	// Diagonals are counted with their actual length
+	registerDiagonalRule("euclidean", {
+		name: "terrain-ruler.diagonalRules.euclidean",
+		step: (cost, isDiagonal, state) => ({spaces: isDiagonal ? cost * Math.SQRT2 : cost, state}),
+		combineVertical: (horizontal, vertical) => Math.hypot(horizontal, vertical),
+	});
+
+	// Diagonal movement isn't allowed. A diagonal step counts as two orthogonal steps.
+	registerDiagonalRule("manhattan", {
+		name: "terrain-ruler.diagonalRules.manhattan",
+		step: (cost, isDiagonal, state) => ({spaces: isDiagonal ? cost * 2 : cost, state}),
+		allowsDiagonals: false,
+	});
+
+	// Every diagonal costs twice as much
+	registerDiagonalRule("101010", {
+		name: "terrain-ruler.diagonalRules.101010",
+		step: (cost, isDiagonal, state) => ({spaces: isDiagonal ? cost * 2 : cost, state}),
+	});
+}
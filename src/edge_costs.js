@@ -0,0 +1,178 @@
+import {onCacheInvalidated} from "./cache.js";
+import {Segment} from "./geometry.js";
+import {getMovementModeId} from "./movement_modes.js";
+import {gridPositionToPixelCenter} from "./pathfinding.js";
+import {getDrawingOutline} from "./regions.js";
+import {getCanvas, getSnapshotData, isSnapshotActive} from "./snapshot.js";
+import {getSegmentBounds, SpatialIndex} from "./spatial_index.js";
+import {appliesToMovementMode} from "./template_costs.js";
+import {isTerrainPlaceableVisible} from "./visibility.js";
+
+// Collected walls by door cost and terrain edges by movement mode, kept until the cache is invalidated by a change to the scene
+const wallIndices = new Map();
+const terrainEdgeIndices = new Map();
+onCacheInvalidated(() => {
+	wallIndices.clear();
+	terrainEdgeIndices.clear();
+});
+
+// Edge costs are charged for crossing the boundary between two spaces, in addition to the cost of entering the destination space.
+// They are measured in spaces (like the values returned by cost functions minus 1) and may be Infinity if the boundary is impassable.
+// Walls and terrain edges are collected as lines {c: [x1, y1, x2, y2], cost}. Lines that can't be crossed are marked with
+// `blocked: true` instead of an infinite cost, since Infinity doesn't survive being stored in flags or serialized as JSON.
+
+// Creates a function that calculates the cost of moving from one space to an adjacent one (grid positions, or pixels on gridless maps).
+// Returns null if there is nothing that could cause edge costs, which allows callers to skip the calculation entirely.
+// Callers can charge additional costs for crossing edges by passing a function with the same signature as `edgeCost` option.
+export function createEdgeCostFunction(options) {
+	const crossingCostFunction = createCrossingCostFunction(options);
+	const customCostFunction = options.edgeCost;
+	if (!customCostFunction)
+		return crossingCostFunction;
+	if (!crossingCostFunction)
+		return customCostFunction;
+	return (from, to) => crossingCostFunction(from, to) + customCostFunction(from, to);
+}
+
+// Walls and terrain edges are lines on the scene. They are charged whenever the line between the centers of both spaces crosses them.
+function createCrossingCostFunction(options) {
+	const useWalls = options.walls ?? game.settings.get("terrain-ruler", "considerWalls");
+	const indices = [useWalls ? getWallIndex(options) : null, getTerrainEdgeIndex(options)].filter(index => index !== null);
+	if (indices.length === 0)
+		return null;
+
+	const gridType = getCanvas().grid.type;
+	const crossingCost = (from, to) => indices.reduce((cost, index) => cost + getCrossingCost(index, from, to), 0);
+	if (gridType === CONST.GRID_TYPES.GRIDLESS || options.ignoreGrid)
+		return crossingCost;
+	const stepCost = (from, to) => crossingCost(gridPositionToPixelCenter(from), gridPositionToPixelCenter(to));
+	if (gridType !== CONST.GRID_TYPES.SQUARE)
+		return stepCost;
+	return (from, to) => {
+		// Diagonal steps pass exactly through the corner of four spaces, where they would touch every line that ends there.
+		// They are charged like the cheaper of the two ways around the corner instead, so lines that merely touch the corner
+		// don't count, but a line running straight through the corner does.
+		if (Math.abs(to.x - from.x) === 1 && Math.abs(to.y - from.y) === 1) {
+			const viaColumn = {x: to.x, y: from.y};
+			const viaRow = {x: from.x, y: to.y};
+			return Math.min(stepCost(from, viaColumn) + stepCost(viaColumn, to), stepCost(from, viaRow) + stepCost(viaRow, to));
+		}
+		return stepCost(from, to);
+	};
+}
+
+// Returns a spatial index of all walls that cost something to cross, or null if there are none
+function getWallIndex(options) {
+	// Snapshots contain the walls that were relevant when the snapshot was taken
+	if (isSnapshotActive())
+		return getSnapshotData("walls", snapshot => createCrossingIndex(snapshot.walls ?? []));
+	const doorCost = options.doorCost ?? game.settings.get("terrain-ruler", "doorCost");
+	if (!wallIndices.has(doorCost))
+		wallIndices.set(doorCost, createCrossingIndex(getWallCosts(options)));
+	return wallIndices.get(doorCost);
+}
+
+// Returns a spatial index of all terrain edges that apply to the movement mode, or null if there are none
+function getTerrainEdgeIndex(options) {
+	if (isSnapshotActive())
+		return getSnapshotData("edges", snapshot => createCrossingIndex(snapshot.edges ?? []));
+	const movementMode = getMovementModeId(options);
+	if (!terrainEdgeIndices.has(movementMode))
+		terrainEdgeIndices.set(movementMode, createCrossingIndex(getTerrainEdgeCosts(options)));
+	return terrainEdgeIndices.get(movementMode);
+}
+
+// Creates a spatial index of lines given as {c: [x1, y1, x2, y2], cost} or {c: [x1, y1, x2, y2], blocked: true}
+function createCrossingIndex(lines) {
+	if (lines.length === 0)
+		return null;
+	const index = new SpatialIndex(getCanvas().dimensions.size * 4);
+	for (const line of lines) {
+		const [x1, y1, x2, y2] = line.c;
+		const segment = Segment.fromPoints({x: x1, y: y1}, {x: x2, y: y2});
+		index.insert({segment, cost: line.blocked ? Infinity : line.cost}, getSegmentBounds(segment.p1, segment.p2));
+	}
+	return index;
+}
+
+function createLine(c, cost) {
+	if (!isFinite(cost))
+		return {c: [...c], blocked: true};
+	return {c: [...c], cost};
+}
+
+// Returns all walls on the scene that cost something to cross as lines
+export function getWallCosts(options) {
+	const doorCost = options.doorCost ?? game.settings.get("terrain-ruler", "doorCost");
+	return canvas.walls.placeables.map(wall => createLine(wall.data.c, getWallCost(wall, doorCost))).filter(wall => wall.blocked || wall.cost > 0);
+}
+
+// Determines how much crossing a wall costs
+function getWallCost(wall, doorCost) {
+	const data = wall.data;
+	if (data.move === CONST.WALL_MOVEMENT_TYPES.NONE)
+		return 0;
+	if (data.door !== CONST.WALL_DOOR_TYPES.NONE) {
+		if (data.ds === CONST.WALL_DOOR_STATES.OPEN)
+			return 0;
+		// Closed doors can be opened, which costs movement. Locked doors are impassable.
+		if (data.ds === CONST.WALL_DOOR_STATES.CLOSED)
+			return doorCost;
+		return Infinity;
+	}
+	const climbCost = wall.document.getFlag("terrain-ruler", "climbCost");
+	if (climbCost !== undefined && climbCost !== null)
+		return climbCost;
+	return Infinity;
+}
+
+// Terrain edges are lines that cost something to cross, like rivers, ledges or fences. They are either stored in the scene flag
+// `edges` as [{c: [x1, y1, x2, y2], cost}] (in pixels) or drawn as drawings with the flag `edgeCost`, which turns the outline of
+// the drawing into terrain edges. Impassable edges have `blocked: true` in the scene flag or the flag `edgeBlocked` on drawings.
+// Drawings can be limited to certain movement modes via their flag `movementModes`.
+// Returns all terrain edges that apply to the movement mode as lines
+export function getTerrainEdgeCosts(options) {
+	const movementMode = getMovementModeId(options);
+	const edges = (canvas.scene?.getFlag("terrain-ruler", "edges") ?? []).map(edge => {
+		// Edges that were stored with an infinite cost have lost it in the flag, which leaves null
+		if (edge.blocked || edge.cost === null)
+			return createLine(edge.c, Infinity);
+		return createLine(edge.c, edge.cost);
+	});
+	for (const drawing of canvas.drawings?.placeables ?? []) {
+		let cost = drawing.document.getFlag("terrain-ruler", "edgeCost");
+		if (drawing.document.getFlag("terrain-ruler", "edgeBlocked"))
+			cost = Infinity;
+		if (cost === undefined || cost === null || !isTerrainPlaceableVisible(drawing) || !appliesToMovementMode(drawing, movementMode))
+			continue;
+		for (const c of getDrawingOutline(drawing))
+			edges.push(createLine(c, cost));
+	}
+	return edges.filter(edge => edge.blocked || edge.cost !== 0);
+}
+
+function getCrossingCost(lines, from, to) {
+	if (from.x === to.x && from.y === to.y)
+		return 0;
+	const movement = Segment.fromPoints(from, to);
+	let cost = 0;
+	for (const line of lines.query(getSegmentBounds(from, to))) {
+		if (line.segment.intersection(movement).length > 0)
+			cost += line.cost;
+	}
+	return cost;
+}
+
+// Adds a field for the cost of climbing over a wall to the wall configuration
+export function injectWallConfig(app, html) {
+	const climbCost = app.object.getFlag("terrain-ruler", "climbCost") ?? "";
+	const formGroup = $(`
+		<div class="form-group">
+			<label>${game.i18n.localize("terrain-ruler.wallConfig.climbCost")}</label>
+			<input type="number" name="flags.terrain-ruler.climbCost" value="${climbCost}" step="any" min="0" data-dtype="Number">
+			<p class="notes">${game.i18n.localize("terrain-ruler.wallConfig.climbCostHint")}</p>
+		</div>
+	`);
+	html.find('select[name="move"]').closest(".form-group").after(formGroup);
+	app.setPosition({height: "auto"});
+}
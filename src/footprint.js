@@ -0,0 +1,128 @@
+import {cubeToOffset, getHexNeighbors, offsetToCube} from "./hex.js";
+import {getCanvas} from "./snapshot.js";
+
+// The shapes of tokens with Hex Token Size Support, as offsets from the anchor hex in axial coordinates. Tokens of size 2 cover
+// three hexes in the shape of a triangle, which is flipped by the token's alternative orientation. Tokens of size 4 cover
+// the triangle and all hexes around it.
+const HEX_TRIANGLES = {
+	rows: {default: [{q: 0, r: 0}, {q: 1, r: -1}, {q: 0, r: -1}], alt: [{q: 0, r: 0}, {q: -1, r: 1}, {q: 0, r: 1}]},
+	columns: {default: [{q: 0, r: 0}, {q: 1, r: -1}, {q: 1, r: 0}], alt: [{q: 0, r: 0}, {q: -1, r: 0}, {q: -1, r: 1}]},
+};
+
+// Tokens that cover more than one space are charged for all spaces they cover. The footprint of a measurement is
+// given in grid spaces ({width, height}). The cost of all covered spaces is aggregated with one of these functions.
+export const FOOTPRINT_AGGREGATES = {
+	max: costs => Math.max(...costs),
+	min: costs => Math.min(...costs),
+	mean: costs => costs.reduce((sum, cost) => sum + cost, 0) / costs.length,
+};
+
+// Determines the footprint of a measurement. If no footprint is requested explicitly, the size of the measured token is used.
+export function getFootprint(options) {
+	if (options.footprint === false)
+		return null;
+	const footprint = options.footprint ?? getHexSizeSupportFootprint(options.token) ?? (options.token ? {width: options.token.data.width, height: options.token.data.height} : null);
+	if (!footprint || (footprint.width <= 1 && footprint.height <= 1))
+		return null;
+	return footprint;
+}
+
+// Hex Token Size Support stores the size of tokens in hexes as `borderSize`. Tokens of even size have the alternative orientation
+// of their triangle shape stored as `altOrientation`.
+function getHexSizeSupportFootprint(token) {
+	if (!token || getCanvas().grid.type === CONST.GRID_TYPES.GRIDLESS || getCanvas().grid.type === CONST.GRID_TYPES.SQUARE)
+		return null;
+	if (!game.modules.get("hex-size-support")?.active)
+		return null;
+	const size = token.document.getFlag("hex-size-support", "borderSize");
+	if (!size)
+		return null;
+	return {width: size, height: size, hexSize: size, hexAltOrientation: Boolean(token.document.getFlag("hex-size-support", "altOrientation"))};
+}
+
+// Tokens of even hex size are centered on the corner shared by the hexes of their triangle. This moves such a point (in pixels)
+// into the anchor hex of the triangle, so that it can be converted into the grid position the footprint is based on.
+export function getFootprintAnchor(point, footprint) {
+	if (!footprint?.hexSize || footprint.hexSize % 2 !== 0)
+		return point;
+	const direction = footprint.hexAltOrientation ? -1 : 1;
+	if (getCanvas().grid.grid.columns)
+		return {x: point.x - direction * getCanvas().grid.w / 4, y: point.y};
+	return {x: point.x, y: point.y + direction * getCanvas().grid.h / 4};
+}
+
+// Returns the grid spaces covered by a token of the given footprint that is centered on `space`
+export function getFootprintSpaces(space, footprint) {
+	if (!footprint)
+		return [space];
+	if (getCanvas().grid.type === CONST.GRID_TYPES.SQUARE) {
+		// Tokens with an even size are centered on a grid corner. The space under that corner is the bottom right one of the center spaces.
+		const spaces = [];
+		const offsetX = Math.floor(footprint.width / 2);
+		const offsetY = Math.floor(footprint.height / 2);
+		for (let x = 0;x < footprint.width;x++) {
+			for (let y = 0;y < footprint.height;y++)
+				spaces.push({x: space.x - offsetX + x, y: space.y - offsetY + y});
+		}
+		return spaces;
+	}
+
+	if (footprint.hexSize >= 2 && footprint.hexSize <= 4)
+		return getHexSizeSupportSpaces(space, footprint);
+
+	// On hex grids we approximate the footprint with all hexes up to a certain distance of the center
+	const radius = Math.ceil((Math.max(footprint.width, footprint.height) - 1) / 2);
+	const spaces = new Map([[`${space.x},${space.y}`, space]]);
+	let border = [space];
+	for (let i = 0;i < radius;i++) {
+		const nextBorder = [];
+		for (const borderSpace of border) {
+			for (const neighbor of getHexNeighbors(borderSpace)) {
+				const key = `${neighbor.x},${neighbor.y}`;
+				if (!spaces.has(key)) {
+					spaces.set(key, neighbor);
+					nextBorder.push(neighbor);
+				}
+			}
+		}
+		border = nextBorder;
+	}
+	return Array.from(spaces.values());
+}
+
+function getHexSizeSupportSpaces(space, footprint) {
+	const grid = getCanvas().grid.grid;
+	const anchor = offsetToCube(space, grid);
+	const triangles = HEX_TRIANGLES[grid.columns ? "columns" : "rows"];
+	const toSpace = offset => cubeToOffset({q: anchor.q + offset.q, r: anchor.r + offset.r}, grid);
+	let spaces;
+	if (footprint.hexSize === 3)
+		spaces = [space, ...getHexNeighbors(space, grid)];
+	else
+		spaces = triangles[footprint.hexAltOrientation ? "alt" : "default"].map(toSpace);
+	if (footprint.hexSize === 4)
+		spaces = spaces.concat(...spaces.map(triangleSpace => getHexNeighbors(triangleSpace, grid)));
+	// Remove the duplicates, which are introduced by the neighbors of adjacent hexes
+	return Array.from(new Map(spaces.map(covered => [`${covered.x},${covered.y}`, covered])).values());
+}
+
+// Wraps the cost function of the measurement, so that it charges the cost of the whole footprint
+export function createFootprintCostFunction(options) {
+	const costFunction = options.costFunction;
+	const footprint = getFootprint(options);
+	if (!footprint)
+		return costFunction;
+	const aggregate = FOOTPRINT_AGGREGATES[options.footprintAggregate ?? "max"];
+
+	if (getCanvas().grid.type === CONST.GRID_TYPES.GRIDLESS || options.ignoreGrid) {
+		// On gridless maps the cost is sampled in intervals of the grid size across the area of the token
+		const size = getCanvas().dimensions.size;
+		const offsets = [];
+		for (let x = 0;x < footprint.width;x++) {
+			for (let y = 0;y < footprint.height;y++)
+				offsets.push({x: (x - (footprint.width - 1) / 2) * size, y: (y - (footprint.height - 1) / 2) * size});
+		}
+		return (x, y, costOptions) => aggregate(offsets.map(offset => costFunction(x + offset.x, y + offset.y, costOptions)));
+	}
+	return (x, y, costOptions) => aggregate(getFootprintSpaces({x, y}, footprint).map(space => costFunction(space.x, space.y, costOptions)));
+}
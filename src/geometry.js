@@ -109,6 +109,9 @@ export class Segment extends Line {
 	}
 }
 
+// How far (in pixels) a line may pass outside of a circle to still count as a tangent
+const TANGENT_TOLERANCE = 0.000001;
+
 export class Circle {
 	constructor(center, radius) {
 		this.center = center;
@@ -128,30 +131,25 @@ export class Circle {
 		const closestDistance = calcDistance(this.center, closestPoint);
 
 		// closestDistance > radius means 0 intersections
-		// closestDistance == radius the line is a tangent
+		// closestDistance == radius the line is a tangent, which touches the circle in a single point
 		// closestDistance < radius means 2 intersections
-		// We only care about the intersections, so we filter the other cases out
-		if (closestDistance >= this.radius)
+		// Tangents are reported as well, since callers that split segments at the intersections need to know where the segment
+		// touches the circle. Rounding errors may move the closest point slightly outside of the circle, so it's allowed to be off a bit.
+		if (closestDistance > this.radius + TANGENT_TOLERANCE)
 			return [];
 
-		// Calculate the angle of the perpendicular relative to the global coordiante system
-		const perpendicularAngle = Math.atan2(this.center.y - closestPoint.y, this.center.x - closestPoint.x);
-
-		// Calculate the angle between the perpendicular and the first intersection
-		const intersectionToPerpendicularAngle = Math.acos(closestDistance / this.radius);
-
-		// Calculate the angle between the intersection an the global coordinate system
-		const intersectionAngle = perpendicularAngle + intersectionToPerpendicularAngle;
-
-		// The first intersection point an now be determined
-		const intersection1 = {x: this.center.x - Math.cos(intersectionAngle) * this.radius, y: this.center.y - Math.sin(intersectionAngle) * this.radius};
-
-		// Mirror intersection 1 along the perpendicular to find intersection 2
-		const intersection2 = {x: closestPoint.x - (intersection1.x - closestPoint.x), y: closestPoint.y - (intersection1.y - closestPoint.y)};
+		// The intersections lie on the line at the same distance in both directions from the closest point.
+		// The direction of the segment is used instead of the perpendicular, since the latter is undefined if the line passes through the center.
+		const offset = Math.sqrt(Math.max(this.radius * this.radius - closestDistance * closestDistance, 0));
+		const length = calcDistance(other.p1, other.p2);
+		const direction = {x: (other.p2.x - other.p1.x) / length, y: (other.p2.y - other.p1.y) / length};
+		const intersection1 = {x: closestPoint.x + direction.x * offset, y: closestPoint.y + direction.y * offset};
+		const intersection2 = {x: closestPoint.x - direction.x * offset, y: closestPoint.y - direction.y * offset};
+		const intersections = offset === 0 ? [intersection1] : [intersection1, intersection2];
 
 		// Now we stop pretending that we're looking for intersections on a line
 		// Filter out all the intersections that aren't on the segment
-		return [intersection1, intersection2].filter(point => {
+		return intersections.filter(point => {
 			// If the segment is vertical the x coordinate doesn't tell us anything, so we use y instead
 			if (other.isVertical) {
 				return isBetween(point.y, other.p1.y, other.p2.y);
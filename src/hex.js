@@ -0,0 +1,89 @@
+import {getCanvas} from "./snapshot.js";
+
+// Helpers for working with hexagonal grids in cube coordinates
+// Foundry addresses hexes by offset coordinates (row and column), which are unsuited for calculating distances and neighbors.
+// The axial coordinates used here drop the third cube coordinate, since it can always be calculated as s = -q - r
+
+// The six directions in axial coordinates
+const AXIAL_DIRECTIONS = [
+	{q: 1, r: 0}, {q: 1, r: -1}, {q: 0, r: -1},
+	{q: -1, r: 0}, {q: -1, r: 1}, {q: 0, r: 1},
+];
+
+// Calculates the offset of the shifted rows/columns. Foundry shifts every second row/column by half a hex,
+// and which ones are shifted depends on the `even` option of the grid
+function offsetShift(n, even) {
+	if (even)
+		return (n + (n & 1)) / 2;
+	return (n - (n & 1)) / 2;
+}
+
+// Converts the module's grid position ({x: column, y: row}) into axial coordinates
+export function offsetToCube(pos, grid=getCanvas().grid.grid) {
+	if (grid.columns)
+		return {q: pos.x, r: pos.y - offsetShift(pos.x, grid.options.even)};
+	return {q: pos.x - offsetShift(pos.y, grid.options.even), r: pos.y};
+}
+
+// Converts axial coordinates back into the module's grid position ({x: column, y: row})
+export function cubeToOffset(cube, grid=getCanvas().grid.grid) {
+	if (grid.columns)
+		return {x: cube.q, y: cube.r + offsetShift(cube.q, grid.options.even)};
+	return {x: cube.q + offsetShift(cube.r, grid.options.even), y: cube.r};
+}
+
+export function cubeDistance(a, b) {
+	const dq = a.q - b.q;
+	const dr = a.r - b.r;
+	return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+// Returns the grid positions of all six neighbors of the given grid position
+export function getHexNeighbors(pos, grid=getCanvas().grid.grid) {
+	const cube = offsetToCube(pos, grid);
+	return AXIAL_DIRECTIONS.map(direction => cubeToOffset({q: cube.q + direction.q, r: cube.r + direction.r}, grid));
+}
+
+// Calculates the distance between two grid positions in hexes
+export function hexDistance(a, b, grid=getCanvas().grid.grid) {
+	return cubeDistance(offsetToCube(a, grid), offsetToCube(b, grid));
+}
+
+// Rounds fractional axial coordinates to the hex that contains them
+export function cubeRound(cube) {
+	const s = -cube.q - cube.r;
+	let q = Math.round(cube.q);
+	let r = Math.round(cube.r);
+	const roundedS = Math.round(s);
+	const qDiff = Math.abs(q - cube.q);
+	const rDiff = Math.abs(r - cube.r);
+	const sDiff = Math.abs(roundedS - s);
+	// The coordinate with the largest rounding error is recalculated from the other two, so that q + r + s stays 0
+	if (qDiff > rDiff && qDiff > sDiff)
+		q = -r - roundedS;
+	else if (rDiff > sDiff)
+		r = -q - roundedS;
+	return {q, r};
+}
+
+// Points that lie exactly on the edge between two hexes are nudged by this offset before rounding, so ties are always resolved
+// in the same way. Since all points are nudged by the same offset, the line from A to B visits the same hexes as the line from B to A.
+const TIE_BREAK_OFFSET = {q: 0.000001, r: 0.000002};
+
+// Returns all hexes (as grid positions) along the line between the centers of two hexes, including both ends.
+// Every hex in the line is a neighbor of the previous one and the line contains exactly one hex per step.
+export function getHexLine(start, end, grid=getCanvas().grid.grid) {
+	const a = offsetToCube(start, grid);
+	const b = offsetToCube(end, grid);
+	const steps = cubeDistance(a, b);
+	const line = [];
+	for (let i = 0;i <= steps;i++) {
+		const t = steps === 0 ? 0 : i / steps;
+		const cube = cubeRound({
+			q: a.q + (b.q - a.q) * t + TIE_BREAK_OFFSET.q,
+			r: a.r + (b.r - a.r) * t + TIE_BREAK_OFFSET.r,
+		});
+		line.push(cubeToOffset(cube, grid));
+	}
+	return line;
+}
@@ -0,0 +1,79 @@
+import {wrapMethod} from "./wrappers.js";
+
+// Integration with Hex Token Size Support. Tokens of an even size (like size 2) sit on a vertex of the hex grid instead of the
+// center of a hex, so rulers that measure their movement need to snap to vertices as well. Hex Token Size Support provides the
+// necessary functions via `CONFIG.hexSizeSupport`:
+// - `findMovementToken(x, y)`: Returns the token whose movement starts at the given point (in pixels)
+// - `getEvenSnappingFlag(token)`: Whether the token snaps to the vertices of the grid
+// - `findVertexSnapPoint(x, y, token)`: Returns the vertex closest to the given point as {x, y}
+
+const REQUIRED_FUNCTIONS = ["findMovementToken", "getEvenSnappingFlag", "findVertexSnapPoint"];
+
+// The token whose ruler is currently adding a waypoint or measuring, if that token snaps to vertices
+let snappingToken = null;
+
+function getMissingFunctions() {
+	const api = CONFIG.hexSizeSupport;
+	return REQUIRED_FUNCTIONS.filter(name => typeof api?.[name] !== "function");
+}
+
+// Registers the wrappers if Hex Token Size Support is installed. Must be called after all modules have been initialized.
+export function hookHexSizeSupport() {
+	if (!CONFIG.hexSizeSupport || getMissingFunctions().length > 0)
+		return;
+
+	// The ruler moves the token that Hex Token Size Support finds at the ruler's origin, which may be a vertex
+	wrapMethod("Ruler", Ruler, "_getMovementToken", function (wrapped) {
+		const origin = this.waypoints[0];
+		if (!origin)
+			return wrapped();
+		return CONFIG.hexSizeSupport.findMovementToken(origin.x, origin.y) ?? wrapped();
+	}, "MIXED");
+
+	// Waypoints and the destination are snapped via `getCenter`, which snaps to vertices while the ruler measures such a token
+	wrapMethod("Ruler", Ruler, "_addWaypoint", function (wrapped, point) {
+		// The first waypoint is the origin of the ruler, where the token is found
+		return withVertexSnapping(findEvenSnappingToken(this.waypoints[0] ?? point), () => wrapped(point));
+	});
+	wrapMethod("Ruler", Ruler, "measure", function (wrapped, destination, options) {
+		const token = this.waypoints.length > 0 ? findEvenSnappingToken(this.waypoints[0]) : null;
+		return withVertexSnapping(token, () => wrapped(destination, options));
+	});
+	wrapMethod("GridLayer", GridLayer, "getCenter", function (wrapped, x, y) {
+		if (!snappingToken)
+			return wrapped(x, y);
+		const vertex = CONFIG.hexSizeSupport.findVertexSnapPoint(x, y, snappingToken);
+		return [vertex.x, vertex.y];
+	}, "MIXED");
+}
+
+function findEvenSnappingToken(origin) {
+	if (!canvas.grid.isHex)
+		return null;
+	const token = CONFIG.hexSizeSupport.findMovementToken(origin.x, origin.y);
+	return token && CONFIG.hexSizeSupport.getEvenSnappingFlag(token) ? token : null;
+}
+
+function withVertexSnapping(token, fn) {
+	const previousToken = snappingToken;
+	snappingToken = token;
+	try {
+		return fn();
+	}
+	finally {
+		snappingToken = previousToken;
+	}
+}
+
+// Reports to the GM if Hex Token Size Support is installed but doesn't provide the functions the integration relies on
+export function verifyHexSizeSupport() {
+	if (!CONFIG.hexSizeSupport)
+		return;
+	const missing = getMissingFunctions();
+	if (missing.length === 0)
+		return;
+	const functions = missing.map(name => `CONFIG.hexSizeSupport.${name}`).join(", ");
+	console.error(`Terrain Ruler | Hex Token Size Support is installed, but the following functions couldn't be found: ${functions}. Rulers won't snap to the vertices of even sized tokens.`);
+	if (game.user.isGM)
+		ui.notifications.error(game.i18n.format("terrain-ruler.selfCheck.hexSizeSupport", {functions}));
+}
@@ -0,0 +1,48 @@
+// Terrain Ruler fires the following hooks while measuring via `measureDistances`:
+// - `terrainRuler.preMeasure(segments, options)`: Before the segments are measured. Handlers may modify the options.
+//   If a handler returns false, the segments are measured without taking terrain into account.
+// - `terrainRuler.spaceCost(data)`: Whenever the cost of a space is looked up. `data` is an object {x, y, cost, options}
+//   and handlers may change `data.cost` to modify the cost of that space.
+// - `terrainRuler.segmentMeasured(result)`: After a segment has been measured, with the result returned by `getSegmentResult`
+// - `terrainRuler.measured(results, options)`: After all segments have been measured, with the results of all segments
+
+// Wraps a cost function, so that the `terrainRuler.spaceCost` hook is fired for every space whose cost is looked up
+export function createSpaceCostHookFunction(costFunction) {
+	// Cost functions are passed on to nested measurements, which must not fire the hook a second time
+	if (costFunction.terrainRulerSpaceCostHook)
+		return costFunction;
+	const hookedCostFunction = (x, y, options) => {
+		const data = {x, y, cost: costFunction(x, y, options), options};
+		Hooks.callAll("terrainRuler.spaceCost", data);
+		return data.cost;
+	};
+	hookedCostFunction.terrainRulerSpaceCostHook = true;
+	// Cached segments are restored without looking up any costs, so the hook wouldn't fire for them. Segments are only cached
+	// while nobody listens to the hook. The costs of the spaces are still cached, since the hook is fired outside of that cache.
+	if (!hasSpaceCostHandlers())
+		hookedCostFunction.isTerrainRulerCache = costFunction.isTerrainRulerCache;
+	return hookedCostFunction;
+}
+
+// Collects everything Terrain Ruler has calculated for a segment
+export function getSegmentResult(segment, distance) {
+	const ray = segment.ray;
+	return {
+		segment,
+		distance,
+		startDistance: ray.terrainRulerStartDistance,
+		visitedSpaces: ray.terrainRulerVisitedSpaces,
+		subSegments: ray.terrainRulerSubSegments,
+		path: ray.terrainRulerPath,
+		footprint: ray.terrainRulerFootprint,
+		breakdown: ray.terrainRulerBreakdown,
+		blocked: ray.terrainRulerBlocked ?? false,
+		finalState: ray.terrainRulerFinalState,
+	};
+}
+
+function hasSpaceCostHandlers() {
+	// Older versions of Foundry keep the registered handlers in `_hooks`
+	const events = Hooks.events ?? Hooks._hooks ?? {};
+	return (events["terrainRuler.spaceCost"]?.length ?? 0) > 0;
+}
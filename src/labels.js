@@ -0,0 +1,48 @@
+// The most expensive color of the cost gradient, which is reached at a cost multiplier of MAX_GRADIENT_COST
+const EXPENSIVE_COLOR = 0xff0000;
+const MAX_GRADIENT_COST = 3;
+
+export function isCostBreakdownEnabled() {
+	return game.settings.get("terrain-ruler", "showCostBreakdown");
+}
+
+// Builds the additional lines of a segment's label that explain how the distance came to be
+export function buildBreakdownLabel(breakdown) {
+	const units = canvas.scene.data.gridUnits;
+	const format = distance => `${Math.round(distance * 100) / 100} ${units}`.trim();
+	const lines = [game.i18n.format("terrain-ruler.breakdown.plain", {distance: format(breakdown.plain)})];
+	for (const part of ["terrain", "diagonals", "edges", "vertical", "rounding"]) {
+		if (breakdown[part] !== 0 && isFinite(breakdown[part]))
+			lines.push(game.i18n.format(`terrain-ruler.breakdown.${part}`, {distance: format(breakdown[part])}));
+	}
+	return lines.join("\n");
+}
+
+// Blends the base color towards red, depending on how expensive the space is
+export function getCostColor(baseColor, cost) {
+	if (!(cost > 1))
+		return baseColor;
+	const ratio = Math.min((cost - 1) / (MAX_GRADIENT_COST - 1), 1);
+	const channel = (color, shift) => (color >> shift) & 0xff;
+	const blend = shift => Math.round(channel(baseColor, shift) * (1 - ratio) + channel(EXPENSIVE_COLOR, shift) * ratio);
+	return (blend(16) << 16) | (blend(8) << 8) | blend(0);
+}
+
+// Draws the cost multiplier onto every space that isn't regular terrain
+export function drawSpaceCost(ruler, space, x, y) {
+	if (space.cost === undefined || space.cost === 1 || space.cost === 0)
+		return;
+	if (!ruler.terrainRulerCostLabels || ruler.terrainRulerCostLabels.destroyed)
+		ruler.terrainRulerCostLabels = ruler.addChild(new PIXI.Container());
+	const style = CONFIG.canvasTextStyle.clone();
+	style.fontSize = Math.max(Math.round(canvas.dimensions.size * 0.25), 12);
+	const text = new PreciseText(isFinite(space.cost) ? `×${Math.round(space.cost * 100) / 100}` : "∞", style);
+	text.anchor.set(0.5, 0.5);
+	text.position.set(x + canvas.grid.w / 2, y + canvas.grid.h / 2);
+	ruler.terrainRulerCostLabels.addChild(text);
+}
+
+export function clearSpaceCosts(ruler) {
+	if (ruler.terrainRulerCostLabels && !ruler.terrainRulerCostLabels.destroyed)
+		ruler.terrainRulerCostLabels.removeChildren().forEach(child => child.destroy());
+}
@@ -0,0 +1,82 @@
+import {getTokenSpeed} from "./speed.js";
+
+// The movement ledger remembers how much movement a combatant has spent during the current turn. It's stored in the flag
+// `movement` of the combatant as {round, turn, spent, state}, where `spent` is the distance (in scene units) moved with the
+// terrain ruler and `state` is the state of the diagonal rule after the last move, so that subsequent moves continue counting
+// diagonals where the previous move ended. Entries that were recorded during another turn are outdated and count as empty.
+
+export function isMovementLedgerEnabled() {
+	return game.settings.get("terrain-ruler", "movementLedger");
+}
+
+// Returns the combatant of the token in the currently running combat, or null if the token isn't fighting
+function getTokenCombatant(token) {
+	const combat = game.combat;
+	if (!token || !combat?.started || combat.data.scene !== token.document.parent?.id)
+		return null;
+	return combat.getCombatantByToken(token.id) ?? null;
+}
+
+// Returns the movement the combatant has spent during the current turn as {spent, state}
+export function getCombatantLedger(combatant) {
+	const combat = combatant.parent;
+	const ledger = combatant.getFlag("terrain-ruler", "movement");
+	if (!ledger || ledger.round !== combat.round || ledger.turn !== combat.turn)
+		return {spent: 0, state: undefined};
+	return {spent: ledger.spent, state: ledger.state};
+}
+
+// Returns the movement the token has spent during the current turn, or null if the ledger doesn't apply to the token
+export function getTokenLedger(token) {
+	if (!isMovementLedgerEnabled())
+		return null;
+	const combatant = getTokenCombatant(token);
+	return combatant ? getCombatantLedger(combatant) : null;
+}
+
+// Returns how much movement the token has left during the current turn, or null if that's unknown
+export function getRemainingMovement(token) {
+	const ledger = getTokenLedger(token);
+	const speed = getTokenSpeed(token);
+	if (!ledger || speed === null)
+		return null;
+	return speed - ledger.spent;
+}
+
+// Adds a move of the token to the ledger of its combatant
+export async function recordMovement(token, distance, state) {
+	if (!isMovementLedgerEnabled() || !isFinite(distance))
+		return;
+	const combatant = getTokenCombatant(token);
+	if (!combatant?.isOwner)
+		return;
+	const combat = combatant.parent;
+	const ledger = getCombatantLedger(combatant);
+	await combatant.setFlag("terrain-ruler", "movement", {
+		round: combat.round,
+		turn: combat.turn,
+		spent: ledger.spent + distance,
+		state: state ?? null,
+	});
+}
+
+// Shows the remaining movement of every combatant in the combat tracker
+export function injectCombatTracker(app, html) {
+	const combat = app.viewed;
+	if (!combat?.started || !isMovementLedgerEnabled())
+		return;
+	const units = combat.scene?.data.gridUnits ?? "";
+	for (const element of html.find(".combatant").toArray()) {
+		const combatant = combat.combatants.get(element.dataset.combatantId);
+		const speed = getTokenSpeed(combatant?.token);
+		if (!combatant || speed === null || !combatant.isOwner)
+			continue;
+		const remaining = formatDistance(speed - getCombatantLedger(combatant).spent);
+		const title = game.i18n.format("terrain-ruler.combatTracker.remainingMovement", {remaining, speed: formatDistance(speed), units});
+		$(element).find(".token-initiative").before(`<div class="token-resource" title="${title}"><span class="resource">${remaining}</span></div>`);
+	}
+}
+
+export function formatDistance(distance) {
+	return Math.round(distance * 100) / 100;
+}
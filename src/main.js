@@ -1,19 +1,77 @@
+import {createSnapshot, measureBatch} from "./batch.js"
+import {invalidateCache, registerCacheInvalidationHooks} from "./cache.js"
+import {getCombinedCost, getCombineStrategy, getCostProviders, registerCostProvider, setCombineStrategy, setCostProviderEnabled, unregisterCostProvider} from "./cost_providers.js"
+import {injectWallConfig} from "./edge_costs.js"
+import {getDiagonalRule, getDiagonalRules, registerDefaultDiagonalRules, registerDiagonalRule} from "./diagonal_rules.js"
+import {getFootprintSpaces} from "./footprint.js"
+import {buildBreakdownLabel, clearSpaceCosts, drawSpaceCost, getCostColor, isCostBreakdownEnabled} from "./labels.js"
+import {formatDistance, getRemainingMovement, getTokenLedger, injectCombatTracker, recordMovement} from "./ledger.js"
 import {getPixelsFromGridPosition} from "./foundry_fixes.js"
-import {measureDistances, getCostEnhancedTerrainlayer} from "./measure.js"
+import {hookHexSizeSupport, verifyHexSizeSupport} from "./hex_size_support.js"
+import {measureDistances, getCostEnhancedTerrainlayer, getRegionsEnhancedTerrainLayer} from "./measure.js"
+import {getMovementModes, getTokenMovementMode, injectTokenHUD, registerDefaultMovementModes, registerMovementMode} from "./movement_modes.js"
+import {findPath} from "./pathfinding.js"
+import {getCostDrawings, getCostTiles, getRegionsDrawings, getRegionsTiles, injectDrawingConfig, injectTileConfig} from "./placeable_costs.js"
+import {getReachableSpaces, hideReachableArea, showReachableArea} from "./reachable.js"
+import {createCircleRegion, createConeRegion, createPolygonRegion, createRectangleRegion} from "./regions.js"
+import {getRoundingPolicies, getRoundingPolicy, registerDefaultRoundingPolicies, registerRoundingPolicy, registerRoundingPreset} from "./rounding.js"
+import {getInitialActiveState, injectSceneConfig, isTerrainRulerAvailable, registerSettings} from "./settings.js"
+import {getCostMeasuredTemplates, getRegionsMeasuredTemplates, injectTemplateConfig} from "./template_costs.js"
+import {getSpeedBandColor, getSpeedBands, getTokenMovementRange, getTokenSpeedBands} from "./speed.js"
+import {registerVisibilityHooks} from "./visibility.js"
+import {moveTokenAlongPath} from "./token_movement.js"
+import {verifyWrappers, wrapMethod} from "./wrappers.js"
 
-// Patch the function as early as possible to decrease the chance of anyone having hooked it already
-patchRulerMeasure()
+let terrainRulerTool
 
-CONFIG.debug.terrainRuler = false
+// The ruler that is currently executing `measure`
+let measuringRuler = null
 
-let terrainRulerTool
+const BLOCKED_COLOR = 0xff0000
 
 Hooks.once("init", () => {
 	hookFunctions()
 	window.terrainRuler = {
 		active: true,
 		measureDistances,
+		measureBatch,
+		createSnapshot,
+		findPath,
+		getReachableSpaces,
+		showReachableArea,
+		hideReachableArea,
+		registerCostProvider,
+		unregisterCostProvider,
+		getCostProviders,
+		setCostProviderEnabled,
+		getCombineStrategy,
+		setCombineStrategy,
+		registerDiagonalRule,
+		getDiagonalRules,
+		getDiagonalRule,
+		registerRoundingPolicy,
+		registerRoundingPreset,
+		getRoundingPolicies,
+		getRoundingPolicy,
+		registerMovementMode,
+		getMovementModes,
+		invalidateCache,
+		createPolygonRegion,
+		createRectangleRegion,
+		createCircleRegion,
+		createConeRegion,
+		getSpeedBands,
+		moveTokenAlongPath,
 	};
+	registerCacheInvalidationHooks()
+	registerVisibilityHooks()
+	registerCostProvider("enhanced-terrain-layer", getCostEnhancedTerrainlayer, {getRegions: getRegionsEnhancedTerrainLayer})
+	registerCostProvider("measured-templates", getCostMeasuredTemplates, {getRegions: getRegionsMeasuredTemplates})
+	registerCostProvider("drawings", getCostDrawings, {getRegions: getRegionsDrawings})
+	registerCostProvider("tiles", getCostTiles, {getRegions: getRegionsTiles})
+	registerDefaultDiagonalRules()
+	registerDefaultRoundingPolicies()
+	registerDefaultMovementModes()
 	Object.defineProperty(game, "terrainRuler", {
 		get: function() {
 			console.warn("Terrain Ruler | `game.terrainRuler` is deprecated and will be removed in a future version. Use `terrainRuler` or `window.terrainRuler` instead.");
@@ -22,10 +80,34 @@ Hooks.once("init", () => {
 	});
 })
 
+Hooks.once("setup", () => {
+	registerSettings()
+	// Hex Token Size Support provides its functions during init, so they're only known to be available now
+	hookHexSizeSupport()
+})
+
 Hooks.once("ready", () => {
-	window.terrainRuler.getCost = getCostEnhancedTerrainlayer;
+	window.terrainRuler.getCost = getCombinedCost;
+	verifyWrappers()
+	verifyHexSizeSupport()
+	window.addEventListener("keydown", onKeyDown)
+})
+
+Hooks.on("canvasReady", () => setActive(getInitialActiveState(canvas.scene)))
+
+Hooks.on("updateScene", (scene, changes) => {
+	if (scene.id === canvas.scene?.id && hasProperty(changes, "flags.terrain-ruler.active"))
+		setActive(getInitialActiveState(scene))
 })
 
+Hooks.on("renderSceneConfig", injectSceneConfig)
+Hooks.on("renderTokenHUD", injectTokenHUD)
+Hooks.on("renderWallConfig", injectWallConfig)
+Hooks.on("renderMeasuredTemplateConfig", injectTemplateConfig)
+Hooks.on("renderDrawingConfig", injectDrawingConfig)
+Hooks.on("renderTileConfig", injectTileConfig)
+Hooks.on("renderCombatTracker", injectCombatTracker)
+
 // Inject Terrain Ruler into
 Hooks.on("getSceneControlButtons", controls => {
 	if (!terrainRulerTool) {
@@ -36,94 +118,324 @@ Hooks.on("getSceneControlButtons", controls => {
 			toggle: true,
 			active: terrainRuler?.active,
 			onClick: toggled => terrainRuler.active = toggled,
-			visible: true,
 		}
 	}
+	terrainRulerTool.visible = isTerrainRulerAvailable()
 	const tokenControls = controls.find(group => group.name === "token").tools
 	tokenControls.splice(tokenControls.findIndex(tool => tool.name === "ruler") + 1, 0, terrainRulerTool)
 })
 
+function setActive(active) {
+	terrainRuler.active = active
+	if (terrainRulerTool) {
+		terrainRulerTool.active = active
+		ui.controls.render()
+	}
+}
+
+// While a ruler is being dragged, the toggle key switches between measuring with and without terrain and the elevation keys
+// raise or lower the next waypoint by one grid space
+function onKeyDown(event) {
+	if (event.target.closest?.("input, textarea, select, [contenteditable]"))
+		return
+	const ruler = canvas.controls?.ruler
+	if (!ruler || ruler._state !== Ruler.STATES.MEASURING || !isTerrainRulerAvailable())
+		return
+	if (isKey(event, "toggleKey") && !event.repeat)
+		ruler.isTerrainRuler = !ruler.isTerrainRuler
+	else if (isKey(event, "raiseElevationKey") && ruler.isTerrainRuler)
+		ruler.terrainRulerDestinationElevation = getDestinationElevation(ruler) + canvas.dimensions.distance
+	else if (isKey(event, "lowerElevationKey") && ruler.isTerrainRuler)
+		ruler.terrainRulerDestinationElevation = getDestinationElevation(ruler) - canvas.dimensions.distance
+	else
+		return
+	ruler.measure(ruler.destination)
+	game.user.broadcastActivity({ruler: ruler.toJSON()})
+}
+
+function isKey(event, setting) {
+	const key = game.settings.get("terrain-ruler", setting)
+	return key && event.key.toLowerCase() === key.toLowerCase()
+}
+
 function hookFunctions() {
-	const originalCanvasOnDragLeftStartHandler = Canvas.prototype._onDragLeftStart
-	Canvas.prototype._onDragLeftStart = function (event) {
+	wrapMethod("Canvas", Canvas, "_onDragLeftStart", function (wrapped, event) {
 		const layer = this.activeLayer
 		const isRuler = game.activeTool === "ruler"
 		const isCtrlRuler = game.keyboard.isCtrl(event) && (layer.name === "TokenLayer")
-		if (terrainRuler.active && (isRuler || isCtrlRuler)) {
+		if (terrainRuler.active && isTerrainRulerAvailable() && (isRuler || isCtrlRuler)) {
 			const ruler = this.controls.ruler
 			ruler.isTerrainRuler = true
 			return ruler._onDragStart(event)
 		}
-		return originalCanvasOnDragLeftStartHandler.call(this, event)
-	}
+		return wrapped(event)
+	}, "MIXED")
+
+	wrapMethod("Ruler", Ruler, "measure", function (wrapped, destination, options) {
+		clearSpaceCosts(this)
+		// Remember which ruler is measuring, so GridLayer.measureDistances knows whether to take terrain into account
+		const previousRuler = measuringRuler
+		measuringRuler = this
+		let segments
+		try {
+			segments = wrapped(destination, options)
+		}
+		finally {
+			measuringRuler = previousRuler
+		}
+		if (this.isTerrainRuler && segments.length > 0)
+			drawMeasuredPath.call(this, segments)
+		if (this.isTerrainRuler && isCostBreakdownEnabled()) {
+			for (const segment of segments) {
+				if (segment.label && segment.ray.terrainRulerBreakdown && isFinite(segment.distance))
+					segment.label.text = `${segment.text}\n${buildBreakdownLabel(segment.ray.terrainRulerBreakdown)}`
+			}
+		}
+		if (this.isTerrainRuler && segments.length > 0) {
+			const lastSegment = segments[segments.length - 1]
+			const distance = segments.reduce((total, segment) => total + segment.distance, 0)
+			// Remember the measurement, so the token can follow it and it can be added to the movement ledger once the token is moved
+			this.terrainRulerMeasurement = {distance, state: lastSegment.ray.terrainRulerFinalState, spaces: collectVisitedSpaces(segments)}
+			const remaining = getRemainingMovement(this._getMovementToken())
+			if (remaining !== null && lastSegment.label && isFinite(distance)) {
+				const units = canvas.scene.data.gridUnits
+				lastSegment.label.text += `\n${game.i18n.format("terrain-ruler.remainingMovement", {remaining: formatDistance(remaining - distance), units})}`
+			}
+		}
+		return segments
+	})
+
+	// Moves made with the terrain ruler are added to the movement ledger of the token's combatant
+	wrapMethod("Ruler", Ruler, "moveToken", async function (wrapped, ...args) {
+		const token = this._getMovementToken()
+		const measurement = this.isTerrainRuler ? this.terrainRulerMeasurement : null
+		const origin = token ? {x: token.data.x, y: token.data.y} : null
+		if (measurement?.spaces && token && game.settings.get("terrain-ruler", "followPath")) {
+			const {completed, space} = await moveAlongMeasurement.call(this, token, measurement)
+			// If the token stopped early, only the distance up to the space it reached counts and the diagonal rule's state at that
+			// point is unknown
+			if (completed)
+				await recordMovement(token, measurement.distance, measurement.state)
+			else if (space?.distance > 0)
+				await recordMovement(token, space.distance)
+			return completed
+		}
+		const result = await wrapped(...args)
+		if (measurement && token && (token.data.x !== origin.x || token.data.y !== origin.y))
+			await recordMovement(token, measurement.distance, measurement.state)
+		return result
+	}, "MIXED")
 
-	const originalEndMeasurementHandler = Ruler.prototype._endMeasurement
-	Ruler.prototype._endMeasurement = function (event) {
+	wrapMethod("Ruler", Ruler, "clear", function (wrapped) {
+		clearSpaceCosts(this)
+		return wrapped()
+	})
+
+	// Holding alt while measuring makes the ruler search for the cheapest path
+	wrapMethod("Ruler", Ruler, "_onMouseMove", function (wrapped, event) {
+		this.terrainRulerFindPath = this.isTerrainRuler && event.data.originalEvent.altKey
+		return wrapped(event)
+	})
+
+	wrapMethod("Ruler", Ruler, "_endMeasurement", function (wrapped) {
 		this.isTerrainRuler = false
-		return originalEndMeasurementHandler.call(this)
-	}
+		this.terrainRulerFindPath = false
+		this.terrainRulerMeasurement = null
+		this.terrainRulerWaypointElevations = []
+		this.terrainRulerDestinationElevation = undefined
+		this.terrainRulerMovementMode = undefined
+		return wrapped()
+	})
 
-	const originalRulerHighlightMeasurement = Ruler.prototype._highlightMeasurement
-	Ruler.prototype._highlightMeasurement = function (ray) {
-		if (ray.terrainRulerVisitedSpaces)
+	// Every waypoint remembers the elevation it was placed at, so the ruler can measure climbing and descending between waypoints
+	wrapMethod("Ruler", Ruler, "_addWaypoint", function (wrapped, point) {
+		const elevation = this.waypoints.length > 0 ? getDestinationElevation(this) : undefined
+		const result = wrapped(point)
+		// The movement mode is fixed when measuring starts, so it's shared with the other users along with the ruler
+		if (this.waypoints.length === 1)
+			this.terrainRulerMovementMode ??= getTokenMovementMode(this._getMovementToken())
+		this.terrainRulerWaypointElevations = (this.terrainRulerWaypointElevations ?? []).slice(0, this.waypoints.length - 1)
+		this.terrainRulerWaypointElevations.push(elevation ?? getRulerElevation(this, this._getMovementToken()))
+		this.terrainRulerDestinationElevation = undefined
+		return result
+	})
+
+	// The destination continues at the elevation of the removed waypoint
+	wrapMethod("Ruler", Ruler, "_removeWaypoint", function (wrapped, ...args) {
+		if (this.waypoints.length > 1)
+			this.terrainRulerDestinationElevation = this.terrainRulerWaypointElevations?.[this.waypoints.length - 1]
+		this.terrainRulerWaypointElevations = this.terrainRulerWaypointElevations?.slice(0, this.waypoints.length - 1)
+		return wrapped(...args)
+	})
+
+	wrapMethod("Ruler", Ruler, "_highlightMeasurement", function (wrapped, ray) {
+		if (ray.terrainRulerVisitedSpaces || ray.terrainRulerPath || ray.terrainRulerBlocked)
 			highlightMeasurement.call(this, ray)
 		else
-			originalRulerHighlightMeasurement.call(this, ray)
-	}
+			wrapped(ray)
+	}, "MIXED")
 
-	const originalRulerToJSON = Ruler.prototype.toJSON
-	Ruler.prototype.toJSON = function () {
-		const json = originalRulerToJSON.call(this)
+	wrapMethod("Ruler", Ruler, "_getSegmentLabel", function (wrapped, segmentDistance, totalDistance, isTotal) {
+		if (!isFinite(segmentDistance) || !isFinite(totalDistance))
+			return game.i18n.localize("terrain-ruler.blocked")
+		return wrapped(segmentDistance, totalDistance, isTotal)
+	}, "MIXED")
+
+	// Only the configuration of the ruler is synchronized, never measured distances. Every client measures the ruler on its own,
+	// so the costs only reflect the terrain that the viewing user is allowed to see.
+	wrapMethod("Ruler", Ruler, "toJSON", function (wrapped) {
+		const json = wrapped()
 		json["isTerrainRuler"] = this.isTerrainRuler
+		json["terrainRulerFindPath"] = this.terrainRulerFindPath
+		json["terrainRulerMovementMode"] = this.terrainRulerMovementMode
+		json["terrainRulerWaypointElevations"] = this.terrainRulerWaypointElevations
+		json["terrainRulerDestinationElevation"] = this.terrainRulerDestinationElevation
 		return json
-	}
+	})
 
-	const originalRulerUpdate = Ruler.prototype.update
-	Ruler.prototype.update = function (data) {
+	wrapMethod("Ruler", Ruler, "update", function (wrapped, data) {
 		this.isTerrainRuler = data.isTerrainRuler
-		originalRulerUpdate.call(this, data)
-	}
+		this.terrainRulerFindPath = data.terrainRulerFindPath
+		this.terrainRulerMovementMode = data.terrainRulerMovementMode
+		this.terrainRulerWaypointElevations = data.terrainRulerWaypointElevations
+		this.terrainRulerDestinationElevation = data.terrainRulerDestinationElevation
+		return wrapped(data)
+	})
+
+	// Other modules can request terrain measurements by passing `enableTerrainRuler` (and optionally their ruler as `terrainRuler`)
+	wrapMethod("GridLayer", GridLayer, "measureDistances", function (wrapped, segments, options={}) {
+		const ruler = options.terrainRuler ?? measuringRuler
+		if (!(options.enableTerrainRuler ?? ruler?.isTerrainRuler))
+			return wrapped(segments, options)
+		const token = ruler?._getMovementToken()
+		if (ruler) {
+			for (const segment of segments) {
+				segment.startElevation ??= getWaypointElevation(ruler, segment.ray.A)
+				segment.endElevation ??= getWaypointElevation(ruler, segment.ray.B)
+			}
+		}
+		return measureDistances(segments, {
+			findPath: ruler?.terrainRulerFindPath,
+			// Moves during the same turn continue counting diagonals where the previous move ended
+			terrainRulerInitialState: getTokenLedger(token)?.state,
+			elevation: getRulerElevation(ruler, token),
+			token,
+			movementMode: ruler?.terrainRulerMovementMode ?? getTokenMovementMode(token),
+		})
+	}, "MIXED")
+}
 
-	const originalGridLayerMeasureDistances = GridLayer.prototype.measureDistances
-	GridLayer.prototype.measureDistances = function (segments, options={}) {
-		if (!options.enableTerrainRuler)
-			return originalGridLayerMeasureDistances.call(this, segments, options)
-		return measureDistances(segments)
+// Joins the visited spaces of all segments, with their distance counted from the start of the ruler
+function collectVisitedSpaces(segments) {
+	if (segments.some(segment => !segment.ray.terrainRulerVisitedSpaces))
+		return null
+	const spaces = []
+	let startDistance = 0
+	for (const segment of segments) {
+		// Every segment starts in the space the previous one ended in
+		const visited = segment.ray.terrainRulerVisitedSpaces
+		for (const space of spaces.length > 0 ? visited.slice(1) : visited)
+			spaces.push({...space, distance: space.distance + startDistance})
+		startDistance += segment.distance
+		// The distances of the visited spaces don't include vertical movement, which is only known for the whole segment
+		spaces[spaces.length - 1].distance = startDistance
 	}
+	return spaces
 }
 
-function highlightMeasurement(ray) {
-	for (const space of ray.terrainRulerVisitedSpaces) {
-		const [x, y] = getPixelsFromGridPosition(space.x, space.y);
-		canvas.grid.highlightPosition(this.name, {x, y, color: this.color})
+// Moves the token space by space along the measured route, instead of letting Foundry move it in a straight line per segment.
+// The token stops when it runs out of movement, which is the range of its last speed band minus the movement spent this turn.
+async function moveAlongMeasurement(token, measurement) {
+	if (game.paused && !game.user.isGM) {
+		ui.notifications.warn("GAME.PausedWarning", {localize: true})
+		return {completed: false, space: null}
+	}
+	const range = getTokenMovementRange(token)
+	let budget
+	if (range !== null)
+		budget = range - (getTokenLedger(token)?.spent ?? 0)
+	this._state = Ruler.STATES.MOVING
+	try {
+		return await moveTokenAlongPath(token, measurement.spaces, {budget})
+	}
+	finally {
+		this._endMeasurement()
 	}
 }
 
-function strInsertAfter(haystack, needle, strToInsert) {
-	const pos = haystack.indexOf(needle) + needle.length
-	return haystack.slice(0, pos) + strToInsert + haystack.slice(pos)
+// The elevation the ruler measures at. Modules can set `terrainRulerElevation` on the ruler to override the elevation of the token.
+function getRulerElevation(ruler, token) {
+	if (ruler?.terrainRulerElevation !== undefined)
+		return ruler.terrainRulerElevation
+	return token?.data.elevation
 }
 
-function strInsertBefore(haystack, needle, strToInsert) {
-	const pos = haystack.indexOf(needle);
-	if (pos === -1)
-		return haystack
-	return haystack.slice(0, pos) + strToInsert + haystack.slice(pos);
+// The elevation of a waypoint or the destination of the ruler. Points that don't belong to the ruler have no elevation of their own.
+function getWaypointElevation(ruler, point) {
+	const index = ruler.waypoints.indexOf(point)
+	if (index >= 0)
+		return ruler.terrainRulerWaypointElevations?.[index]
+	if (point === ruler.destination)
+		return getDestinationElevation(ruler)
+	return undefined
 }
 
-function patchRulerMeasure() {
-	let code = Ruler.prototype.measure.toString()
-	// Replace CRLF with LF in case foundry.js has CRLF for some reason
-	code = code.replace(/\r\n/g, "\n")
-	// Remove function signature and closing curly bracket (those are on the first and last line)
-	code = code.slice(code.indexOf("\n"), code.lastIndexOf("\n"))
+// Unless it has been raised or lowered, the destination is at the same elevation as the last waypoint
+function getDestinationElevation(ruler) {
+	if (ruler.terrainRulerDestinationElevation !== undefined)
+		return ruler.terrainRulerDestinationElevation
+	const elevations = ruler.terrainRulerWaypointElevations ?? []
+	return elevations[elevations.length - 1] ?? getRulerElevation(ruler, ruler._getMovementToken()) ?? 0
+}
 
-	code = strInsertAfter(code, "segments, {gridSpaces", ", enableTerrainRuler: this.isTerrainRuler")
+// Redraws the lines of the ruler in the same style as core, but segments that follow a path are drawn along the path instead of
+// the straight line between their waypoints
+function drawMeasuredPath(segments) {
+	const r = this.ruler
+	r.clear()
+	for (const {ray} of segments) {
+		const points = ray.terrainRulerPath ?? [ray.A, ray.B]
+		const blocked = ray.terrainRulerBlocked && !ray.terrainRulerVisitedSpaces
+		drawLine(r.lineStyle(6, 0x000000, 0.5), points)
+		drawLine(r.lineStyle(4, blocked ? BLOCKED_COLOR : this.color, blocked || ray.terrainRulerPath ? 0.75 : 0.25), points)
+	}
+	for (const point of this.waypoints.concat([this.destination]))
+		r.lineStyle(2, 0x000000, 0.5).beginFill(this.color, 0.25).drawCircle(point.x, point.y, 8)
+	r.endFill()
+}
 
-	// "Hex Token Size Support" support
-	code = strInsertBefore(code, "findMovementToken", "CONFIG.hexSizeSupport.");
-	code = strInsertBefore(code, "getEvenSnappingFlag", "CONFIG.hexSizeSupport.");
-	code = strInsertBefore(code, "findVertexSnapPoint", "CONFIG.hexSizeSupport.");
+function drawLine(graphics, [start, ...rest]) {
+	graphics.moveTo(start.x, start.y)
+	for (const point of rest)
+		graphics.lineTo(point.x, point.y)
+}
 
-	Ruler.prototype.measure = new Function("destination", "{gridSpaces=true}={}", code)
+function highlightMeasurement(ray) {
+	// Highlight all spaces that are swept by the token's footprint, but each of them only once
+	const showCosts = isCostBreakdownEnabled()
+	const token = this._getMovementToken()
+	const speedBands = getTokenSpeedBands(token)
+	// Movement that has already been spent this turn counts towards the speed bands as well
+	const startDistance = (ray.terrainRulerStartDistance ?? 0) + (getTokenLedger(token)?.spent ?? 0)
+	const highlighted = new Set()
+	for (const visitedSpace of ray.terrainRulerVisitedSpaces ?? []) {
+		for (const space of getFootprintSpaces(visitedSpace, ray.terrainRulerFootprint)) {
+			const key = `${space.x},${space.y}`
+			if (highlighted.has(key))
+				continue
+			highlighted.add(key)
+			const [x, y] = getPixelsFromGridPosition(space.x, space.y);
+			// Spaces behind an impassable obstacle are highlighted red
+			let color = isFinite(visitedSpace.distance ?? 0) ? this.color : BLOCKED_COLOR
+			// Speed bands take precedence over the cost gradient, since both would compete for the same colors
+			const bandColor = getSpeedBandColor(speedBands, startDistance + (visitedSpace.distance ?? 0))
+			if (bandColor !== null && color !== BLOCKED_COLOR)
+				color = bandColor
+			else if (showCosts)
+				color = getCostColor(color, visitedSpace.cost)
+			if (showCosts)
+				drawSpaceCost(this, visitedSpace, x, y)
+			canvas.grid.highlightPosition(this.name, {x, y, color})
+		}
+	}
 }
@@ -1,37 +1,171 @@
-import {getGridPositionFromPixels} from "./foundry_fixes.js"
-import {calculateVisitedSpaces} from "./foundry_imports.js"
-import {Arc, calcDistance, Circle, Line, Segment, toRad} from "./geometry.js"
+import {getCachedCostFunction, isCachedCostFunction, measureSegmentsCached} from "./cache.js"
+import {calculateVerticalSpaces, getDiagonalRule} from "./diagonal_rules.js"
+import {createEdgeCostFunction} from "./edge_costs.js"
+import {createFootprintCostFunction, getFootprint, getFootprintAnchor} from "./footprint.js"
+import {getGridPositionFromPixels, getPixelsFromGridPosition} from "./foundry_fixes.js"
+import {Arc, Circle, Line} from "./geometry.js"
+import {getHexLine} from "./hex.js"
+import {createSpaceCostHookFunction, getSegmentResult} from "./hooks.js"
+import {findPath} from "./pathfinding.js"
+import {getPolygonRegion, getRegionIndex, getTemplateRegion, integrateSegment} from "./regions.js"
+import {roundDistances} from "./rounding.js"
+import {isDebugEnabled} from "./settings.js"
+import {getCanvas, getSnapshotCostFunction, isSnapshotActive} from "./snapshot.js"
+import {getSegmentBounds} from "./spatial_index.js"
+import {isTerrainPlaceableVisible} from "./visibility.js"
 
 export function measureDistances(segments, options={}) {
+	if (Hooks.call("terrainRuler.preMeasure", segments, options) === false)
+		return canvas.grid.measureDistances(segments, {gridSpaces: true, enableTerrainRuler: false})
+
+	const distances = measureSegments(segments, options)
+
+	// The distances stored in the rays start at 0 for every segment. To find out how far the token has moved in total, the rays
+	// also remember the distance of all segments before them.
+	let previousDistance = 0
+	const results = segments.map((segment, i) => {
+		segment.ray.terrainRulerStartDistance = previousDistance
+		previousDistance += distances[i]
+		const result = getSegmentResult(segment, distances[i])
+		Hooks.callAll("terrainRuler.segmentMeasured", result)
+		return result
+	})
+	Hooks.callAll("terrainRuler.measured", results, options)
+	return distances
+}
+
+// Measures the segments without firing the measurement hooks. Used by functions that measure as part of a larger measurement.
+export function measureSegments(segments, options={}) {
+	// The setting is read once per measurement instead of for every step
+	debugging = isDebugEnabled() && !isSnapshotActive()
+	if (!options.costFunction && isSnapshotActive())
+		options.costFunction = getSnapshotCostFunction()
+	// Only measurements with the default cost function can be cached, since custom cost functions may change at any time
+	if (!options.costFunction && !isDebugging())
+		options.costFunction = getCachedCostFunction(options)
 	if (!options.costFunction)
 		options.costFunction = terrainRuler.getCost
+	options.costFunction = createSpaceCostHookFunction(options.costFunction)
 
-	if (CONFIG.debug.terrainRuler) {
+	if (isDebugging()) {
 		if (!canvas.terrainRulerDebug?._geometry) {
 			canvas.terrainRulerDebug = canvas.controls.addChild(new PIXI.Graphics())
 		}
 		canvas.terrainRulerDebug.clear()
 	}
 
-	if (canvas.grid.type === CONST.GRID_TYPES.GRIDLESS || options.ignoreGrid)
+	let distances
+	if (isCachedCostFunction(options.costFunction))
+		distances = measureSegmentsCached(segments, options, measureDistancesUncached)
+	else
+		distances = measureDistancesUncached(segments, options)
+	// Rounding is applied after caching, since the policy may round across segments
+	return roundDistances(segments, distances, options)
+}
+
+// The debug visualization is drawn onto the live canvas, which doesn't match measurements against a snapshot
+let debugging = false
+
+function isDebugging() {
+	return debugging
+}
+
+function measureDistancesUncached(segments, options) {
+	if (options.findPath)
+		return measureDistancesWithPathfinding(segments, options)
+	if (getCanvas().grid.type === CONST.GRID_TYPES.GRIDLESS || options.ignoreGrid)
 		return measureDistancesGridless(segments, options);
-	else if (canvas.grid.type === CONST.GRID_TYPES.SQUARE)
+	else if (getCanvas().grid.type === CONST.GRID_TYPES.SQUARE)
 		return measureDistancesSquare(segments, options)
 	else
 		return measureDistancesHex(segments, options)
 }
 
 export function getCostEnhancedTerrainlayer(x, y, options={}) {
+	// Enhanced Terrain Layer may not be installed when other cost providers are used
+	if (!canvas.terrain?.cost)
+		return undefined;
+	// Enhanced Terrain Layer skips the environments listed in `ignore`
+	if (options.ignoreEnvironments)
+		options = {...options, ignore: (options.ignore ?? []).concat(options.ignoreEnvironments)};
+	// Enhanced Terrain Layer takes all terrain and templates into account, including those the user isn't allowed to see
+	const layers = [canvas.terrain, canvas.templates];
+	if (!game.user.isGM && layers.some(layer => layer.placeables.some(placeable => !isTerrainPlaceableVisible(placeable))))
+		return withVisiblePlaceables(layers, () => canvas.terrain.cost({x, y}, options));
 	return canvas.terrain.cost({x, y}, options);
 }
 
+// Hides the placeables the user can't see from the given layers while `fn` runs. Enhanced Terrain Layer reads its terrain and
+// the measurement templates from these layers, so it calculates the cost of the visible terrain with its own rules for
+// elevation, environments and templates.
+function withVisiblePlaceables(layers, fn) {
+	// The layers usually provide their placeables via a getter of their class, which is uncovered again by removing the own property
+	const descriptors = layers.map(layer => Object.getOwnPropertyDescriptor(layer, "placeables"));
+	for (const layer of layers) {
+		const visible = layer.placeables.filter(isTerrainPlaceableVisible);
+		Object.defineProperty(layer, "placeables", {value: visible, configurable: true});
+	}
+	try {
+		return fn();
+	}
+	finally {
+		for (const [i, layer] of layers.entries()) {
+			if (descriptors[i])
+				Object.defineProperty(layer, "placeables", descriptors[i]);
+			else
+				delete layer.placeables;
+		}
+	}
+}
+
+// Enhanced Terrain Layer considers its own terrain as well as measurement templates
+export function getRegionsEnhancedTerrainLayer() {
+	if (!canvas.terrain?.cost)
+		return [];
+	const terrain = canvas.terrain.placeables.filter(isTerrainPlaceableVisible).map(getPolygonRegion);
+	return terrain.concat(canvas.templates.placeables.filter(isTerrainPlaceableVisible).map(getTemplateRegion));
+}
+
+// Measures the cheapest path between the endpoints of each segment instead of the straight line
+function measureDistancesWithPathfinding(segments, options) {
+	let state = options.terrainRulerInitialState
+	return segments.map(segment => {
+		const ray = segment.ray
+		const segmentOptions = {...options, findPath: false, terrainRulerInitialState: state}
+		const path = findPath(ray.A, ray.B, segmentOptions)
+
+		// If no path could be found fall back to measuring the straight line
+		if (!path) {
+			const [distance] = measureDistancesUncached([segment], segmentOptions)
+			state = ray.terrainRulerFinalState
+			return distance
+		}
+
+		ray.terrainRulerPath = path.waypoints
+		ray.terrainRulerBreakdown = path.terrainRulerBreakdown
+		if (getCanvas().grid.type !== CONST.GRID_TYPES.GRIDLESS && !options.ignoreGrid) {
+			ray.terrainRulerVisitedSpaces = path.terrainRulerVisitedSpaces
+			ray.terrainRulerFootprint = getFootprint(options)
+		}
+		ray.terrainRulerFinalState = state = path.terrainRulerFinalState
+		return path.distance
+	})
+}
+
 function measureDistancesSquare(segments, options) {
-	const costFunction = options.costFunction;
-	let noDiagonals = options?.terrainRulerInitialState?.noDiagonals ?? 0;
+	const diagonalRule = getDiagonalRule(options)
+	let state = diagonalRule.initialState(options.terrainRulerInitialState)
+	// The state of the same measurement without any terrain, used to tell the extra cost of diagonals apart from the extra cost of terrain
+	let plainState = state
+	const edgeCostFunction = createEdgeCostFunction(options)
 
 	return segments.map((segment => {
 		const ray = segment.ray
+		const breakdown = initBreakdown(ray)
+		const costFunction = createSegmentCostFunction(segment, options)
+		const edgeCost = createSegmentEdgeCostFunction(ray, edgeCostFunction)
 		ray.terrainRulerVisitedSpaces = []
+		ray.terrainRulerFootprint = getFootprint(options)
 		const start = pixelsToGridPosition(ray.A)
 		const end = pixelsToGridPosition(ray.B)
 
@@ -39,7 +173,7 @@ function measureDistancesSquare(segments, options) {
 		if (start === end)
 			return 0
 
-		ray.terrainRulerVisitedSpaces.push({x: start.x, y: start.y, distance: 0})
+		ray.terrainRulerVisitedSpaces.push({x: start.x, y: start.y, distance: 0, cost: 0})
 
 		const direction = {x: Math.sign(end.x - start.x), y: Math.sign(end.y - start.y)}
 		const current = start
@@ -48,9 +182,11 @@ function measureDistancesSquare(segments, options) {
 		// If the ruler is vertical just move along the y axis until we reach our goal
 		if (direction.x === 0) {
 			for (let y = current.y;y !== end.y;y += direction.y) {
-				const cost = costFunction(current.x, y + direction.y, options)
-				distance += cost * canvas.dimensions.distance
-				ray.terrainRulerVisitedSpaces.push({x: current.x, y: y + direction.y, distance})
+				const cost = costFunction(current.x, y + direction.y)
+				distance += cost * getCanvas().dimensions.distance
+				recordStep(breakdown, cost, 1)
+				distance += edgeCost({x: current.x, y}, {x: current.x, y: y + direction.y})
+				ray.terrainRulerVisitedSpaces.push({x: current.x, y: y + direction.y, distance, cost})
 			}
 		}
 		else {
@@ -61,6 +197,7 @@ function measureDistancesSquare(segments, options) {
 				const line = Line.fromPoints(pixelsToDecimalGridPosition(ray.A), pixelsToDecimalGridPosition(ray.B));
 				let nextXStepAt = calculateNextXStep(current, end, line, direction);
 				while (current.y !== end.y) {
+					const previous = {...current}
 					let isDiagonal = false
 					if (nextXStepAt === current.y) {
 						current.x += direction.x
@@ -76,157 +213,192 @@ function measureDistancesSquare(segments, options) {
 					else {
 						current.y += direction.y
 					}
-					if (CONFIG.debug.terrainRuler)
+					if (isDebugging())
 						debugStep(current.x, current.y, 0x008800)
-					const cost = costFunction(current.x, current.y, options)
-					distance += cost * canvas.dimensions.distance
-
-					// Diagonal Handling
-					if (isDiagonal) {
-						// PF2 diagonal rules
-						if (game.system.id === "pf2e") {
-							distance += noDiagonals * canvas.dimensions.distance
-							noDiagonals = noDiagonals === 1 ? 0 : 1
-						}
-						// Generic 5/10/5 rule
-						else if (canvas.grid.diagonalRule === "5105") {
-							// Every second diagonal costs twice as much
-							noDiagonals += cost
-
-							// How many second diagonals do we have?
-							const diagonalCost = noDiagonals >> 1 // Integer divison by two
-							// Store the remainder
-							noDiagonals %= 2
-
-							// Apply the cost for the diagonals
-							distance += diagonalCost * canvas.dimensions.distance
-						}
-						// If neither of the above match treat diagonals as regular steps (5/5/5 rule)
-					}
-					ray.terrainRulerVisitedSpaces.push({x: current.x, y: current.y, distance})
+					const cost = costFunction(current.x, current.y)
+					const step = diagonalRule.step(cost, isDiagonal, state)
+					state = step.state
+					const plainStep = diagonalRule.step(1, isDiagonal, plainState)
+					plainState = plainStep.state
+					distance += step.spaces * getCanvas().dimensions.distance
+					recordStep(breakdown, step.spaces, plainStep.spaces)
+					distance += edgeCost(previous, current)
+					ray.terrainRulerVisitedSpaces.push({x: current.x, y: current.y, distance, cost})
 				}
 			}
 
 			// Move along the x axis until the target is reached
 			for (let x = current.x;x !== end.x;x += direction.x) {
-				const cost = costFunction(x + direction.x, current.y, options)
-				distance += cost * canvas.dimensions.distance
-				ray.terrainRulerVisitedSpaces.push({x: x + direction.x, y: current.y, distance})
+				const cost = costFunction(x + direction.x, current.y)
+				distance += cost * getCanvas().dimensions.distance
+				recordStep(breakdown, cost, 1)
+				distance += edgeCost({x, y: current.y}, {x: x + direction.x, y: current.y})
+				ray.terrainRulerVisitedSpaces.push({x: x + direction.x, y: current.y, distance, cost})
 			}
 		}
 
-		ray.terrainRulerFinalState = {noDiagonals};
+		ray.terrainRulerFinalState = state;
+
+		const verticalSpaces = getVerticalSpaces(segment, options)
+		if (verticalSpaces > 0) {
+			const horizontalSpaces = Math.max(Math.abs(end.x - ray.terrainRulerVisitedSpaces[0].x), Math.abs(end.y - ray.terrainRulerVisitedSpaces[0].y))
+			breakdown.vertical = calculateVerticalSpaces(diagonalRule, horizontalSpaces, verticalSpaces) * getCanvas().dimensions.distance
+			distance += breakdown.vertical
+		}
 		return distance
 	}))
 }
 
 function measureDistancesHex(segments, options) {
-	const costFunction = options.costFunction;
+	// Hex grids have no diagonals, but the rule may still change how steps are counted and carry state across segments
+	const diagonalRule = getDiagonalRule(options)
+	let state = diagonalRule.initialState(options.terrainRulerInitialState)
+	let plainState = state
+	const edgeCostFunction = createEdgeCostFunction(options)
+	const footprint = getFootprint(options)
 	return segments.map(segment => {
 		const ray = segment.ray
-		calculateVisitedSpaces(ray)
+		const breakdown = initBreakdown(ray)
+		const costFunction = createSegmentCostFunction(segment, options)
+		const edgeCost = createSegmentEdgeCostFunction(ray, edgeCostFunction)
+		ray.terrainRulerFootprint = footprint
+		const line = getHexLine(pixelsToGridPosition(getFootprintAnchor(ray.A, footprint)), pixelsToGridPosition(getFootprintAnchor(ray.B, footprint)))
+		ray.terrainRulerVisitedSpaces = [{...line[0], distance: 0, cost: 0}]
 		let distance = 0
-		for (const space of ray.terrainRulerVisitedSpaces) {
-			const cost = costFunction(space.x, space.y, options)
-			distance += cost * canvas.dimensions.distance
-			space.distance = distance
+		for (let i = 1;i < line.length;i++) {
+			const space = line[i]
+			const cost = costFunction(space.x, space.y)
+			const step = diagonalRule.step(cost, false, state)
+			const plainStep = diagonalRule.step(1, false, plainState)
+			state = step.state
+			plainState = plainStep.state
+			distance += step.spaces * getCanvas().dimensions.distance
+			recordStep(breakdown, step.spaces, plainStep.spaces)
+			distance += edgeCost(line[i - 1], space)
+			ray.terrainRulerVisitedSpaces.push({...space, distance, cost})
+		}
+		ray.terrainRulerFinalState = state
+
+		// Vertical movement is combined with the hexes that were walked according to the diagonal rule, like on square grids
+		const verticalSpaces = getVerticalSpaces(segment, options)
+		if (verticalSpaces > 0) {
+			breakdown.vertical = calculateVerticalSpaces(diagonalRule, line.length - 1, verticalSpaces) * getCanvas().dimensions.distance
+			distance += breakdown.vertical
 		}
-		ray.terrainRulerVisitedSpaces.unshift({...pixelsToGridPosition(ray.A), distance: 0})
 		return distance
 	})
 }
 
 function measureDistancesGridless(segments, options) {
-	const costFunction = options.costFunction;
-
-	const terrainEdges = collectTerrainEdges();
-	if (CONFIG.debug.terrainRuler)
-		debugEdges(terrainEdges);
+	const edgeCostFunction = createEdgeCostFunction(options);
+	const regionIndex = getRegionIndex();
 
 	return segments.map(segment => {
 		const ray = segment.ray;
-		const rulerSegment = Segment.fromPoints(ray.A, ray.B);
-		const intersections = terrainEdges.map(edge => edge.intersection(rulerSegment)).flat().filter(point => point !== null);
-		intersections.push(ray.A);
-		intersections.push(ray.B);
-		if (rulerSegment.isVertical) {
-			intersections.sort((a, b) => Math.abs(a.y - ray.A.y) - Math.abs(b.y - ray.A.y));
-		}
-		else {
-			intersections.sort((a, b) => Math.abs(a.x - ray.A.x) - Math.abs(b.x - ray.A.x));
-		}
-		if (CONFIG.debug.terrainRuler)
-			intersections.forEach(intersection => debugStep(intersection.x, intersection.y));
-		const distance = Array.from(iteratePairs(intersections)).reduce((distance, [start, end]) => {
-			let segmentLength;
-			if (start.x === end.x)
-				segmentLength = Math.abs(start.y - end.y);
-			else if (start.y === end.y)
-				segmentLength = Math.abs(start.x - end.x);
-			else
-				segmentLength = calcDistance(start, end);
-			const cost = costFunction((start.x + end.x) / 2, (start.y + end.y) / 2, options);
-			if (CONFIG.debug.terrainRuler)
-				canvas.terrainRulerDebug.lineStyle(2, cost === 1 ? 0x009900 : 0x990000).drawPolygon([start.x, start.y, end.x, end.y]);
-			return distance + segmentLength * cost;
-		}, 0);
-
-		return distance / canvas.dimensions.size * canvas.dimensions.distance;
+		const breakdown = initBreakdown(ray);
+		const costFunction = createSegmentCostFunction(segment, options);
+		// Only the regions close to the segment can intersect it
+		const regions = regionIndex.query(getSegmentBounds(ray.A, ray.B));
+		if (isDebugging())
+			debugEdges(regions.flatMap(region => region.edges));
+		const pieces = integrateSegment(ray.A, ray.B, regions, costFunction);
+
+		// The pieces are handed out like the visited spaces on grids, with their length and distance in scene units
+		let distance = 0;
+		ray.terrainRulerSubSegments = pieces.map(piece => {
+			if (isDebugging()) {
+				debugStep(piece.A.x, piece.A.y);
+				canvas.terrainRulerDebug.lineStyle(2, piece.cost === 1 ? 0x009900 : 0x990000).drawPolygon([piece.A.x, piece.A.y, piece.B.x, piece.B.y]);
+			}
+			const length = piece.length / getCanvas().dimensions.size * getCanvas().dimensions.distance;
+			distance += length * piece.cost;
+			return {...piece, length, distance};
+		});
+
+		// Crossing edges (like walls) is charged in full spaces, so it's added after the conversion from pixels
+		const edgeDistance = createSegmentEdgeCostFunction(ray, edgeCostFunction)(ray.A, ray.B);
+
+		// Vertical movement is added according to the pythagorean theorem
+		const verticalSpaces = getVerticalSpaces(segment, options);
+		const horizontalSpaces = ray.distance / getCanvas().dimensions.size;
+		const verticalDistance = Math.hypot(horizontalSpaces, verticalSpaces) - horizontalSpaces;
+		breakdown.plain = horizontalSpaces * getCanvas().dimensions.distance;
+		breakdown.terrain = distance - breakdown.plain;
+		breakdown.vertical = verticalDistance * getCanvas().dimensions.distance;
+		return distance + breakdown.vertical + edgeDistance;
 	});
 }
 
-// Collects the edges of all sources of terrain in one array
-function collectTerrainEdges() {
-	const terrainEdges = canvas.terrain.placeables.reduce((edges, terrain) => edges.concat(getEdgesFromPolygon(terrain)), []);
-	const templateEdges = canvas.templates.placeables.reduce((edges, template) => {
-		const shape = template.shape;
-		if (template.data.t === "cone") {
-			const radius = template.data.distance * canvas.dimensions.size / canvas.dimensions.distance;
-			const direction = toRad(template.data.direction + 180);
-			const angle = toRad(template.data.angle);
-			const startDirection = direction - angle / 2;
-			const endDirection = direction + angle / 2;
-			edges = edges.concat([
-				new Arc({x: template.data.x, y: template.data.y}, radius, direction, angle),
-				Segment.fromPoints({x: template.data.x, y: template.data.y}, {x: template.data.x - Math.cos(startDirection) * radius, y: template.data.y - Math.sin(startDirection) * radius}),
-				Segment.fromPoints({x: template.data.x, y: template.data.y}, {x: template.data.x - Math.cos(endDirection) * radius, y: template.data.y - Math.sin(endDirection) * radius}),
-			]);
-		}
-		else if (shape instanceof PIXI.Polygon) {
-			edges = edges.concat(getEdgesFromPolygon(template));
-		}
-		else if (shape instanceof PIXI.Circle) {
-			edges.push(new Circle({x: template.x + shape.x, y: template.y + shape.y}, shape.radius));
-		}
-		else if (shape instanceof NormalizedRectangle) {
-			const points = [
-				{x: template.x + shape.x, y: template.y + shape.y},
-				{x: template.x + shape.x + shape.width, y: template.y + shape.y},
-				{x: template.x + shape.x + shape.width, y: template.y + shape.y + shape.height},
-				{x: template.x + shape.x, y: template.y + shape.y + shape.height},
-			];
-			edges = edges.concat([
-				Segment.fromPoints(points[0], points[1]),
-				Segment.fromPoints(points[1], points[2]),
-				Segment.fromPoints(points[2], points[3]),
-				Segment.fromPoints(points[3], points[0]),
-			]);
-		}
-		else {
-			console.warn("Terrain Ruler | Unkown measurement template shape ignored", shape);
+// Segments can carry the elevation (in scene units) at their start and end as `startElevation` and `endElevation`.
+// If they don't, the `elevation` option is used for the whole segment.
+function getSegmentElevation(segment, options) {
+	const start = segment.startElevation ?? options.elevation
+	const end = segment.endElevation ?? start
+	return {start, end}
+}
+
+function getVerticalSpaces(segment, options) {
+	const {start, end} = getSegmentElevation(segment, options)
+	if (start === undefined || end === undefined)
+		return 0
+	return Math.abs(end - start) / getCanvas().dimensions.distance
+}
+
+// Creates a cost function for a single segment that passes the elevation at the measured space to the cost function
+function createSegmentCostFunction(segment, options) {
+	const costFunction = createFootprintCostFunction(options)
+	const {start, end} = getSegmentElevation(segment, options)
+	if (start === undefined)
+		return (x, y) => costFunction(x, y, options)
+	if (start === end)
+		return (x, y) => costFunction(x, y, {...options, elevation: start})
+
+	const ray = segment.ray
+	const isGridless = getCanvas().grid.type === CONST.GRID_TYPES.GRIDLESS || options.ignoreGrid
+	const lengthSquared = ray.dx * ray.dx + ray.dy * ray.dy
+	return (x, y) => {
+		let point = {x, y}
+		if (!isGridless) {
+			const [pixelX, pixelY] = getPixelsFromGridPosition(x, y)
+			point = {x: pixelX + getCanvas().grid.w / 2, y: pixelY + getCanvas().grid.h / 2}
 		}
-		return edges;
-	}, []);
-	return terrainEdges.concat(templateEdges);
+		// Project the center of the space onto the ray to find out how far along the segment it is
+		let t = ((point.x - ray.A.x) * ray.dx + (point.y - ray.A.y) * ray.dy) / lengthSquared
+		t = Math.min(Math.max(t, 0), 1)
+		return costFunction(x, y, {...options, elevation: start + (end - start) * t})
+	}
 }
 
-function getEdgesFromPolygon(poly) {
-	const points = poly.shape.points;
-	const edges = [];
-	for (let i = 0;i * 2 < poly.shape.points.length - 2;i++) {
-		edges.push(Segment.fromPoints({x: poly.x + points[i * 2], y: poly.y + points[i * 2 + 1]}, {x: poly.x + points[i * 2 + 2], y: poly.y + points[i * 2 + 3]}));
+// Creates a function that returns the distance added by crossing the edge between two spaces of the segment.
+// If an edge is impassable the ray is marked as blocked.
+function createSegmentEdgeCostFunction(ray, edgeCostFunction) {
+	ray.terrainRulerBlocked = false
+	if (!edgeCostFunction)
+		return () => 0
+	return (from, to) => {
+		const cost = edgeCostFunction(from, to)
+		if (!isFinite(cost))
+			ray.terrainRulerBlocked = true
+		ray.terrainRulerBreakdown.edges += cost * getCanvas().dimensions.distance
+		return cost * getCanvas().dimensions.distance
 	}
-	return edges;
+}
+
+// The breakdown splits the measured distance of a segment into its components (all in scene units)
+export function createBreakdown() {
+	return {plain: 0, terrain: 0, diagonals: 0, edges: 0, vertical: 0, rounding: 0}
+}
+
+function initBreakdown(ray) {
+	ray.terrainRulerBreakdown = createBreakdown()
+	return ray.terrainRulerBreakdown
+}
+
+// Records a step that is worth `spaces` spaces and would have been worth `plainSpaces` spaces without terrain
+export function recordStep(breakdown, spaces, plainSpaces) {
+	breakdown.plain += getCanvas().dimensions.distance
+	breakdown.diagonals += (plainSpaces - 1) * getCanvas().dimensions.distance
+	breakdown.terrain += (spaces - plainSpaces) * getCanvas().dimensions.distance
 }
 
 // Determines at which y-coordinate we need to make our next step along the x axis
@@ -239,7 +411,7 @@ function calculateNextXStep(current, end, line, direction) {
 
 	// The next step along the x axis is gnerally where the line intersects the next vertical grid line
 	let nextXStepAt = Math.round(verticalIntersectionY)
-	if (CONFIG.debug.terrainRuler)
+	if (isDebugging())
 		debugStep(current.x + direction.x / 2, nextXStepAt, 0x888800, 9)
 
 	// The next step along the x axis calculated above might be one step too late.
@@ -266,7 +438,7 @@ function calculateNextXStep(current, end, line, direction) {
 				nextXStepAt -= direction.y
 		}
 	}
-	if (CONFIG.debug.terrainRuler) {
+	if (isDebugging()) {
 		debugStep(current.x + direction.x / 2, line.calcY(current.x + direction.x / 2))
 		debugStep(current.x + direction.x / 2, nextXStepAt, 0x880000, 9)
 	}
@@ -279,19 +451,13 @@ function pixelsToGridPosition(pos) {
 }
 
 function pixelsToDecimalGridPosition(pos) {
-	return {x: pos.x / canvas.grid.w - 0.5, y: pos.y / canvas.grid.h - 0.5};
-}
-
-function* iteratePairs(arr) {
-	for (let i = 0;i < arr.length - 1;i++) {
-		yield [arr[i], arr[i + 1]];
-	}
+	return {x: pos.x / getCanvas().grid.w - 0.5, y: pos.y / getCanvas().grid.h - 0.5};
 }
 
 function debugStep(x, y, color=0x000000, radius=5) {
-	if (canvas.grid.type !== CONST.GRID_TYPES.GRIDLESS) {
-		x = (x + 0.5) * canvas.grid.w;
-		y = (y + 0.5) * canvas.grid.h;
+	if (getCanvas().grid.type !== CONST.GRID_TYPES.GRIDLESS) {
+		x = (x + 0.5) * getCanvas().grid.w;
+		y = (y + 0.5) * getCanvas().grid.h;
 	}
 	canvas.terrainRulerDebug.lineStyle(4, color).drawCircle(x, y, radius);
 }
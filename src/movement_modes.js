@@ -0,0 +1,70 @@
+import {invalidateCache} from "./cache.js";
+
+// Registry for the ways a token can move. A movement mode can change how the terrain cost is calculated:
+// - `ignoreProviders`: Ids of cost providers that are ignored completely while moving in this mode
+// - `providerMultipliers`: Maps cost provider ids to a factor that scales the extra cost of that provider (0 ignores it, 0.5 halves it)
+// - `ignoreEnvironments`: Terrain environments that are ignored. They're passed on to the cost providers, which decide how to honor them.
+
+const modes = new Map();
+
+export function registerMovementMode(id, mode) {
+	modes.set(id, {
+		id,
+		name: mode.name ?? id,
+		icon: mode.icon ?? "fas fa-walking",
+		ignoreProviders: mode.ignoreProviders ?? [],
+		providerMultipliers: mode.providerMultipliers ?? {},
+		ignoreEnvironments: mode.ignoreEnvironments ?? [],
+	});
+	invalidateCache();
+}
+
+export function getMovementModes() {
+	return Array.from(modes.values());
+}
+
+export function getMovementMode(id) {
+	return modes.get(id) ?? modes.get("walk");
+}
+
+// Determines the movement mode of a measurement. An explicitly requested mode wins over the mode selected for the token.
+export function getMovementModeId(options) {
+	return options.movementMode ?? getTokenMovementMode(options.token);
+}
+
+export function getTokenMovementMode(token) {
+	return token?.document?.getFlag("terrain-ruler", "movementMode") ?? "walk";
+}
+
+// Applies the movement mode to the cost returned by a cost provider
+export function applyMovementMode(mode, providerId, cost) {
+	if (mode.ignoreProviders.includes(providerId))
+		return undefined;
+	const multiplier = mode.providerMultipliers[providerId];
+	if (multiplier === undefined || !isFinite(cost))
+		return cost;
+	return 1 + (cost - 1) * multiplier;
+}
+
+export function registerDefaultMovementModes() {
+	registerMovementMode("walk", {name: "terrain-ruler.movementModes.walk", icon: "fas fa-walking"});
+	registerMovementMode("swim", {name: "terrain-ruler.movementModes.swim", icon: "fas fa-swimmer", ignoreEnvironments: ["water", "current"]});
+	registerMovementMode("fly", {name: "terrain-ruler.movementModes.fly", icon: "fas fa-dove", ignoreProviders: ["enhanced-terrain-layer"]});
+	registerMovementMode("climb", {name: "terrain-ruler.movementModes.climb", icon: "fas fa-mountain", ignoreEnvironments: ["mountain"]});
+	registerMovementMode("burrow", {name: "terrain-ruler.movementModes.burrow", icon: "fas fa-digging", ignoreEnvironments: ["rubble", "plants"]});
+}
+
+// Adds a button to the token HUD that cycles through the movement modes of the token
+export function injectTokenHUD(hud, html) {
+	const token = hud.object;
+	const current = getMovementMode(getTokenMovementMode(token));
+	const button = $(`<div class="control-icon terrain-ruler-movement-mode" title="${game.i18n.format("terrain-ruler.movementModes.hudTitle", {mode: game.i18n.localize(current.name)})}"><i class="${current.icon}"></i></div>`);
+	button.on("click", async event => {
+		event.preventDefault();
+		const allModes = getMovementModes();
+		const next = allModes[(allModes.findIndex(mode => mode.id === current.id) + 1) % allModes.length];
+		await token.document.setFlag("terrain-ruler", "movementMode", next.id);
+		hud.render();
+	});
+	html.find(".col.right").append(button);
+}
@@ -0,0 +1,289 @@
+import {getCachedCostFunction} from "./cache.js";
+import {getDiagonalRule} from "./diagonal_rules.js";
+import {createEdgeCostFunction} from "./edge_costs.js";
+import {createFootprintCostFunction, getFootprint, getFootprintAnchor} from "./footprint.js";
+import {getGridPositionFromPixels, getPixelsFromGridPosition} from "./foundry_fixes.js";
+import {getHexNeighbors, hexDistance} from "./hex.js";
+import {createSpaceCostHookFunction} from "./hooks.js";
+import {createBreakdown, measureSegments, recordStep} from "./measure.js";
+import {PriorityQueue} from "./priority_queue.js";
+import {getCanvas} from "./snapshot.js";
+
+// The smallest default for the number of nodes a search may expand
+const DEFAULT_MAX_NODES = 10000;
+// Diagonal rules can reach the same space in several states, each of which is a node of its own
+const STATES_PER_SPACE = 4;
+
+const SQUARE_DIRECTIONS = [
+	{x: 0, y: -1}, {x: 1, y: 0}, {x: 0, y: 1}, {x: -1, y: 0},
+	{x: 1, y: -1}, {x: 1, y: 1}, {x: -1, y: 1}, {x: -1, y: -1},
+];
+
+// Finds the cheapest path between two points (in pixels), taking difficult terrain and the diagonal rules into account
+// Returns null if no path could be found
+export function findPath(from, to, options={}) {
+	options = {...options};
+	if (!options.costFunction)
+		options.costFunction = getCachedCostFunction(options);
+	options.costFunction = createSpaceCostHookFunction(options.costFunction);
+	if (options.maxNodes === undefined) {
+		const size = getCanvas().dimensions.size;
+		options.maxNodes = getDefaultMaxNodes(Math.hypot(to.x - from.x, to.y - from.y) / size / (options.minimumCost ?? 1));
+	}
+	// The heuristic must never overestimate the remaining cost. Users of cost functions that return values below 1 need to lower this.
+	if (options.minimumCost === undefined)
+		options.minimumCost = 1;
+
+	if (getCanvas().grid.type === CONST.GRID_TYPES.GRIDLESS || options.ignoreGrid)
+		return findPathGridless(from, to, options);
+	else
+		return findPathGrid(from, to, options);
+}
+
+function findPathGrid(from, to, options) {
+	const isSquare = getCanvas().grid.type === CONST.GRID_TYPES.SQUARE;
+	const footprint = getFootprint(options);
+	const start = pixelsToGridPosition(getFootprintAnchor(from, footprint));
+	const goal = pixelsToGridPosition(getFootprintAnchor(to, footprint));
+
+	let heuristic;
+	if (isSquare)
+		heuristic = node => Math.max(Math.abs(node.x - goal.x), Math.abs(node.y - goal.y)) * options.minimumCost;
+	else
+		heuristic = node => hexDistance(node, goal) * options.minimumCost;
+
+	const goalNode = searchSpaces({...start, state: getInitialGridState(options)}, createGridNeighbors(options), {
+		isGoal: node => node.x === goal.x && node.y === goal.y,
+		heuristic,
+		maxNodes: options.maxNodes,
+		onLimitReached: warnPathLimitReached,
+	});
+	if (!goalNode)
+		return null;
+
+	const terrainRulerVisitedSpaces = unwindPath(goalNode).map(node => ({x: node.x, y: node.y, distance: node.cost * getCanvas().dimensions.distance, cost: node.spaceCost ?? 0}));
+	const waypoints = removeCollinearPoints(terrainRulerVisitedSpaces.map(space => gridPositionToPixelCenter(space)));
+	return {
+		waypoints,
+		distance: goalNode.cost * getCanvas().dimensions.distance,
+		terrainRulerVisitedSpaces,
+		terrainRulerFinalState: goalNode.state,
+		terrainRulerBreakdown: createGridPathBreakdown(terrainRulerVisitedSpaces, options),
+	};
+}
+
+// Replays the steps of the path with the diagonal rule, to split its distance into the components of the breakdown like
+// `measureDistances` does. Whatever a step costs beyond its spaces was spent on crossing edges.
+function createGridPathBreakdown(spaces, options) {
+	const isSquare = getCanvas().grid.type === CONST.GRID_TYPES.SQUARE;
+	const diagonalRule = getDiagonalRule(options);
+	const breakdown = createBreakdown();
+	let state = getInitialGridState(options);
+	let plainState = state;
+	for (const [previous, space] of iteratePairs(spaces)) {
+		const isDiagonal = isSquare && previous.x !== space.x && previous.y !== space.y;
+		const step = diagonalRule.step(space.cost, isDiagonal, state);
+		const plainStep = diagonalRule.step(1, isDiagonal, plainState);
+		state = step.state;
+		plainState = plainStep.state;
+		recordStep(breakdown, step.spaces, plainStep.spaces);
+		breakdown.edges += space.distance - previous.distance - step.spaces * getCanvas().dimensions.distance;
+	}
+	return breakdown;
+}
+
+// Creates a function that returns the spaces adjacent to a node on the current square or hex grid, including the cost of stepping into them
+export function createGridNeighbors(options) {
+	const costFunction = createFootprintCostFunction(options);
+	const edgeCostFunction = createEdgeCostFunction(options);
+	const edgeCost = (from, to) => edgeCostFunction ? edgeCostFunction(from, to) : 0;
+	const bounds = pixelsToGridPosition({x: getCanvas().dimensions.width - 1, y: getCanvas().dimensions.height - 1});
+	const isInBounds = pos => pos.x >= 0 && pos.y >= 0 && pos.x <= bounds.x && pos.y <= bounds.y;
+
+	if (getCanvas().grid.type === CONST.GRID_TYPES.SQUARE) {
+		const diagonalRule = getDiagonalRule(options);
+		const directions = diagonalRule.allowsDiagonals ? SQUARE_DIRECTIONS : SQUARE_DIRECTIONS.slice(0, 4);
+		return node => directions.map(direction => {
+			const pos = {x: node.x + direction.x, y: node.y + direction.y};
+			if (!isInBounds(pos))
+				return null;
+			const isDiagonal = direction.x !== 0 && direction.y !== 0;
+			const cost = costFunction(pos.x, pos.y, options);
+			const step = diagonalRule.step(cost, isDiagonal, node.state);
+			return {...pos, state: step.state, stepCost: step.spaces + edgeCost(node, pos), spaceCost: cost};
+		});
+	}
+	// Hex grids have no diagonals, but the diagonal rule still counts the steps
+	const diagonalRule = getDiagonalRule(options);
+	return node => getHexNeighbors(node).map(pos => {
+		if (!isInBounds(pos))
+			return null;
+		const cost = costFunction(pos.x, pos.y, options);
+		const step = diagonalRule.step(cost, false, node.state);
+		return {...pos, state: step.state, stepCost: step.spaces + edgeCost(node, pos), spaceCost: cost};
+	});
+}
+
+export function getInitialGridState(options) {
+	return getDiagonalRule(options).initialState(options.terrainRulerInitialState);
+}
+
+// On gridless maps the search is performed on a virtual grid that is anchored at the starting point.
+// The resulting path is measured precisely afterwards.
+function findPathGridless(from, to, options) {
+	const size = getCanvas().dimensions.size;
+	const {neighbors, toPixels} = createGridlessNeighbors(from, size, options);
+	const goal = {x: Math.round((to.x - from.x) / size), y: Math.round((to.y - from.y) / size)};
+	const goalPixels = toPixels(goal);
+	const heuristic = node => {
+		const pixels = toPixels(node);
+		return Math.hypot(pixels.x - goalPixels.x, pixels.y - goalPixels.y) * options.minimumCost;
+	};
+
+	const goalNode = searchSpaces({x: 0, y: 0}, neighbors, {
+		isGoal: node => node.x === goal.x && node.y === goal.y,
+		heuristic,
+		maxNodes: options.maxNodes,
+		onLimitReached: warnPathLimitReached,
+	});
+	if (!goalNode)
+		return null;
+
+	const points = unwindPath(goalNode).map(toPixels);
+	points[0] = {x: from.x, y: from.y};
+	points[points.length - 1] = {x: to.x, y: to.y};
+	const waypoints = removeCollinearPoints(points);
+
+	// Measure the actual path, so the result is consistent with regular measurements. The path is rounded as a whole by the
+	// measurement that requested it, so its pieces aren't rounded here.
+	const segments = Array.from(iteratePairs(waypoints)).map(([A, B]) => ({ray: new Ray(A, B)}));
+	const distances = measureSegments(segments, {...options, findPath: false, ignoreGrid: true, rounding: "none"});
+	let distance = 0;
+	const terrainRulerVisitedSpaces = [{...waypoints[0], distance}];
+	const terrainRulerBreakdown = createBreakdown();
+	for (const [i, segmentDistance] of distances.entries()) {
+		distance += segmentDistance;
+		terrainRulerVisitedSpaces.push({...waypoints[i + 1], distance});
+		for (const [key, value] of Object.entries(segments[i].ray.terrainRulerBreakdown))
+			terrainRulerBreakdown[key] += value;
+	}
+	return {waypoints, distance, terrainRulerVisitedSpaces, terrainRulerFinalState: {...options.terrainRulerInitialState}, terrainRulerBreakdown};
+}
+
+// Creates a function that returns the neighbors of a node on a virtual grid with the given spacing that is anchored at `origin`.
+// The cost of each step is measured in pixels.
+export function createGridlessNeighbors(origin, size, options) {
+	const costFunction = createFootprintCostFunction(options);
+	const edgeCostFunction = createEdgeCostFunction(options);
+	const toPixels = node => ({x: origin.x + node.x * size, y: origin.y + node.y * size});
+	const neighbors = node => {
+		const nodePixels = toPixels(node);
+		return SQUARE_DIRECTIONS.map(direction => {
+			const pos = {x: node.x + direction.x, y: node.y + direction.y};
+			const pixels = toPixels(pos);
+			if (pixels.x < 0 || pixels.y < 0 || pixels.x > getCanvas().dimensions.width || pixels.y > getCanvas().dimensions.height)
+				return null;
+			const cost = costFunction((nodePixels.x + pixels.x) / 2, (nodePixels.y + pixels.y) / 2, options);
+			// Edge costs are measured in spaces, while the steps on gridless maps are measured in pixels
+			const edgeCost = edgeCostFunction ? edgeCostFunction(nodePixels, pixels) * getCanvas().dimensions.size : 0;
+			return {...pos, stepCost: Math.hypot(direction.x, direction.y) * size * cost + edgeCost};
+		});
+	};
+	return {neighbors, toPixels};
+}
+
+// The number of nodes a search may expand by default to cover all spaces within `radius` spaces of its start
+export function getDefaultMaxNodes(radius) {
+	if (!isFinite(radius))
+		return DEFAULT_MAX_NODES;
+	return Math.max(DEFAULT_MAX_NODES, Math.pow(2 * Math.ceil(radius) + 1, 2) * STATES_PER_SPACE);
+}
+
+function warnPathLimitReached() {
+	console.warn("Terrain Ruler | The search for the cheapest path has been stopped after expanding the maximum number of nodes. Increase the maxNodes option to search farther.");
+}
+
+// Generic A* search. `neighbors` returns the nodes reachable from a node, including the cost of the step (null entries are ignored).
+// Nodes may carry a `state` (like the diagonal rule state), which makes otherwise identical positions distinct nodes.
+// Without a goal this performs a flood fill of all nodes up to `maxCost`, reporting every settled node to `onSettle`.
+// If the search is stopped because it expanded `maxNodes` nodes, `onLimitReached` is called.
+export function searchSpaces(start, neighbors, {isGoal=() => false, heuristic=() => 0, maxNodes=Infinity, maxCost=Infinity, onSettle, onLimitReached}={}) {
+	const queue = new PriorityQueue();
+	const bestCosts = new Map();
+	const startNode = {...start, cost: 0, parent: null};
+	queue.push(startNode, heuristic(startNode));
+	bestCosts.set(nodeKey(startNode), 0);
+
+	let expandedNodes = 0;
+	while (queue.size > 0) {
+		const node = queue.pop();
+		// Skip queue entries that have been superseded by a cheaper path to the same node
+		if (node.cost > bestCosts.get(nodeKey(node)))
+			continue;
+		onSettle?.(node);
+		if (isGoal(node))
+			return node;
+		if (++expandedNodes > maxNodes) {
+			onLimitReached?.();
+			break;
+		}
+		for (const next of neighbors(node)) {
+			if (!next || !isFinite(next.stepCost))
+				continue;
+			const cost = node.cost + next.stepCost;
+			if (cost > maxCost)
+				continue;
+			const key = nodeKey(next);
+			if (bestCosts.has(key) && bestCosts.get(key) <= cost)
+				continue;
+			bestCosts.set(key, cost);
+			const nextNode = {x: next.x, y: next.y, state: next.state, spaceCost: next.spaceCost, cost, parent: node};
+			queue.push(nextNode, cost + heuristic(nextNode));
+		}
+	}
+	return null;
+}
+
+function nodeKey(node) {
+	return `${node.x},${node.y},${node.state ? JSON.stringify(node.state) : ""}`;
+}
+
+function unwindPath(node) {
+	const path = [];
+	for (;node;node = node.parent)
+		path.push(node);
+	return path.reverse();
+}
+
+// Reduces a list of points to the points where the direction of the path changes
+function removeCollinearPoints(points) {
+	if (points.length <= 2)
+		return points;
+	const result = [points[0]];
+	for (let i = 1;i < points.length - 1;i++) {
+		const prev = result[result.length - 1];
+		const current = points[i];
+		const next = points[i + 1];
+		const cross = (current.x - prev.x) * (next.y - current.y) - (current.y - prev.y) * (next.x - current.x);
+		if (Math.abs(cross) > 0.001)
+			result.push(current);
+	}
+	result.push(points[points.length - 1]);
+	return result;
+}
+
+export function pixelsToGridPosition(pos) {
+	const [x, y] = getGridPositionFromPixels(pos.x, pos.y);
+	return {x, y};
+}
+
+export function gridPositionToPixelCenter(pos) {
+	const [x, y] = getPixelsFromGridPosition(pos.x, pos.y);
+	return {x: x + getCanvas().grid.w / 2, y: y + getCanvas().grid.h / 2};
+}
+
+function* iteratePairs(arr) {
+	for (let i = 0;i < arr.length - 1;i++) {
+		yield [arr[i], arr[i + 1]];
+	}
+}
@@ -0,0 +1,98 @@
+import {onCacheInvalidated} from "./cache.js";
+import {getMovementModeId} from "./movement_modes.js";
+import {gridPositionToPixelCenter} from "./pathfinding.js";
+import {getDrawingRegion, getTileRegion} from "./regions.js";
+import {appliesToMovementMode, createTerrainConfigFields} from "./template_costs.js";
+import {isTerrainPlaceableVisible} from "./visibility.js";
+
+// Cost providers for drawings and tiles that have been configured as difficult terrain. They use the same flags as measurement
+// templates: `multiplier` contains the cost and `movementModes` optionally limits the terrain to certain movement modes.
+
+// The regions of the configured drawings and tiles, by layer. They're kept until the cache is invalidated by a change to the scene.
+const terrainPlaceables = new Map();
+onCacheInvalidated(() => terrainPlaceables.clear());
+
+export function getCostDrawings(x, y, options={}) {
+	return getCostPlaceables("drawings", getDrawingRegion, x, y, options);
+}
+
+export function getCostTiles(x, y, options={}) {
+	return getCostPlaceables("tiles", getTileRegion, x, y, options);
+}
+
+export function getRegionsDrawings() {
+	return getTerrainPlaceables("drawings", getDrawingRegion).map(entry => entry.region);
+}
+
+export function getRegionsTiles() {
+	return getTerrainPlaceables("tiles", getTileRegion).map(entry => entry.region);
+}
+
+function getCostPlaceables(layerName, getRegion, x, y, options) {
+	let point = {x, y};
+	if (canvas.grid.type !== CONST.GRID_TYPES.GRIDLESS && !options.ignoreGrid)
+		point = gridPositionToPixelCenter(point);
+	const movementMode = getMovementModeId(options);
+
+	let cost;
+	for (const {placeable, region, multiplier} of getTerrainPlaceables(layerName, getRegion)) {
+		const bounds = region.bounds;
+		if (point.x < bounds.minX || point.x > bounds.maxX || point.y < bounds.minY || point.y > bounds.maxY)
+			continue;
+		if (!appliesToMovementMode(placeable, movementMode) || !region.contains(point))
+			continue;
+		cost = Math.max(cost ?? multiplier, multiplier);
+	}
+	return cost;
+}
+
+function getTerrainPlaceables(layerName, getRegion) {
+	if (!terrainPlaceables.has(layerName)) {
+		const placeables = canvas[layerName]?.placeables ?? [];
+		terrainPlaceables.set(layerName, placeables.map(placeable => {
+			const multiplier = placeable.document.getFlag("terrain-ruler", "multiplier");
+			if (multiplier === undefined || multiplier === null || !isTerrainPlaceableVisible(placeable))
+				return null;
+			return {placeable, region: getRegion(placeable), multiplier};
+		}).filter(entry => entry !== null));
+	}
+	return terrainPlaceables.get(layerName);
+}
+
+// Adds the terrain configuration to the drawing and tile configuration. Both sheets are split into tabs, so the fields are added
+// to the first tab.
+export function injectDrawingConfig(app, html) {
+	injectTerrainConfig(app, html, "terrain-ruler.drawingConfig");
+	// Drawings can also be terrain edges (see edge_costs.js), which cost something to cross instead of something to move through
+	const edgeCost = app.object.getFlag("terrain-ruler", "edgeCost") ?? "";
+	// A number field can't hold Infinity, so impassable edges are configured via a separate checkbox
+	const edgeBlocked = app.object.getFlag("terrain-ruler", "edgeBlocked") ? "checked" : "";
+	const formGroups = $(`
+		<div class="form-group">
+			<label>${game.i18n.localize("terrain-ruler.drawingConfig.edgeCost")}</label>
+			<input type="number" name="flags.terrain-ruler.edgeCost" value="${edgeCost}" step="any" min="0" data-dtype="Number">
+			<p class="notes">${game.i18n.localize("terrain-ruler.drawingConfig.edgeCostHint")}</p>
+		</div>
+		<div class="form-group">
+			<label>${game.i18n.localize("terrain-ruler.drawingConfig.edgeBlocked")}</label>
+			<input type="checkbox" name="flags.terrain-ruler.edgeBlocked" ${edgeBlocked} data-dtype="Boolean">
+			<p class="notes">${game.i18n.localize("terrain-ruler.drawingConfig.edgeBlockedHint")}</p>
+		</div>
+	`);
+	html.find('input[name="flags.terrain-ruler.multiplier"]').closest(".form-group").after(formGroups);
+	app.setPosition({height: "auto"});
+}
+
+export function injectTileConfig(app, html) {
+	injectTerrainConfig(app, html, "terrain-ruler.tileConfig");
+}
+
+function injectTerrainConfig(app, html, langPrefix) {
+	const fields = createTerrainConfigFields(app.object, langPrefix);
+	const firstTab = html.find(".tab").first();
+	if (firstTab.length > 0)
+		firstTab.append(fields);
+	else
+		html.find('button[type="submit"]').before(fields);
+	app.setPosition({height: "auto"});
+}
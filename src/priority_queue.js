@@ -0,0 +1,49 @@
+// A binary min-heap that orders its elements by a numeric priority
+export class PriorityQueue {
+	constructor() {
+		this.heap = [];
+	}
+
+	get size() {
+		return this.heap.length;
+	}
+
+	push(element, priority) {
+		const heap = this.heap;
+		heap.push({element, priority});
+		let i = heap.length - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (heap[parent].priority <= heap[i].priority)
+				break;
+			[heap[parent], heap[i]] = [heap[i], heap[parent]];
+			i = parent;
+		}
+	}
+
+	pop() {
+		const heap = this.heap;
+		if (heap.length === 0)
+			return undefined;
+		const top = heap[0];
+		const last = heap.pop();
+		if (heap.length > 0) {
+			heap[0] = last;
+			let i = 0;
+			while (true) {
+				const left = i * 2 + 1;
+				const right = left + 1;
+				let smallest = i;
+				if (left < heap.length && heap[left].priority < heap[smallest].priority)
+					smallest = left;
+				if (right < heap.length && heap[right].priority < heap[smallest].priority)
+					smallest = right;
+				if (smallest === i)
+					break;
+				[heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+				i = smallest;
+			}
+		}
+		return top.element;
+	}
+}
@@ -0,0 +1,106 @@
+import {getCachedCostFunction} from "./cache.js";
+import {getFootprint, getFootprintAnchor} from "./footprint.js";
+import {getPixelsFromGridPosition} from "./foundry_fixes.js";
+import {createSpaceCostHookFunction} from "./hooks.js";
+import {createGridlessNeighbors, createGridNeighbors, getDefaultMaxNodes, getInitialGridState, pixelsToGridPosition, searchSpaces} from "./pathfinding.js";
+
+const HIGHLIGHT_LAYER_NAME = "TerrainRuler.ReachableArea";
+
+// Calculates all spaces that can be reached from `origin` (in pixels) without spending more than `budget` (in scene units)
+// Returns an array of spaces ({x, y, distance}). On gridless maps the spaces are points of a virtual grid in pixels.
+// If the search had to be stopped before it reached the end of the budget, the array's `truncated` attribute is true.
+export function getReachableSpaces(origin, budget, options={}) {
+	options = {...options};
+	if (!options.costFunction)
+		options.costFunction = getCachedCostFunction(options);
+	options.costFunction = createSpaceCostHookFunction(options.costFunction);
+	const isGridless = canvas.grid.type === CONST.GRID_TYPES.GRIDLESS || options.ignoreGrid;
+	// By default the search is large enough to cover every space the budget could reach
+	if (options.maxNodes === undefined) {
+		const spaces = budget / canvas.dimensions.distance / (options.minimumCost ?? 1);
+		options.maxNodes = getDefaultMaxNodes(isGridless ? spaces / (options.resolution ?? 0.5) : spaces);
+	}
+
+	let truncated = false;
+	const onLimitReached = () => truncated = true;
+	const reachable = isGridless ? getReachableSpacesGridless(origin, budget, options, onLimitReached) : getReachableSpacesGrid(origin, budget, options, onLimitReached);
+	reachable.truncated = truncated;
+	if (truncated)
+		console.warn(`Terrain Ruler | The reachable area has been cut short after expanding ${options.maxNodes} nodes. Increase the maxNodes option to search the whole area.`);
+	return reachable;
+}
+
+function getReachableSpacesGrid(origin, budget, options, onLimitReached) {
+	const start = pixelsToGridPosition(getFootprintAnchor(origin, getFootprint(options)));
+	// Different diagonal states can reach the same space. We only report the cheapest one.
+	const reachable = new Map();
+	searchSpaces({...start, state: getInitialGridState(options)}, createGridNeighbors(options), {
+		maxNodes: options.maxNodes,
+		onLimitReached,
+		maxCost: budget / canvas.dimensions.distance,
+		onSettle: node => {
+			const key = `${node.x},${node.y}`;
+			const distance = node.cost * canvas.dimensions.distance;
+			if (!reachable.has(key) || reachable.get(key).distance > distance)
+				reachable.set(key, {x: node.x, y: node.y, distance});
+		},
+	});
+	return Array.from(reachable.values());
+}
+
+function getReachableSpacesGridless(origin, budget, options, onLimitReached) {
+	// The precision of the virtual grid can be adjusted via `resolution` (fraction of the scene's grid size)
+	const size = canvas.dimensions.size * (options.resolution ?? 0.5);
+	const {neighbors, toPixels} = createGridlessNeighbors(origin, size, options);
+	const reachable = [];
+	searchSpaces({x: 0, y: 0}, neighbors, {
+		maxNodes: options.maxNodes,
+		onLimitReached,
+		maxCost: budget / canvas.dimensions.distance * canvas.dimensions.size,
+		onSettle: node => reachable.push({...toPixels(node), distance: node.cost / canvas.dimensions.size * canvas.dimensions.distance}),
+	});
+	return reachable;
+}
+
+// Approximates the outline of the reachable points on a gridless map by picking the farthest point in each direction
+export function getReachableContour(origin, spaces, noSectors=72) {
+	const sectors = new Array(noSectors).fill(null);
+	for (const space of spaces) {
+		const dx = space.x - origin.x;
+		const dy = space.y - origin.y;
+		let angle = Math.atan2(dy, dx);
+		if (angle < 0)
+			angle += 2 * Math.PI;
+		const sector = Math.floor(angle / (2 * Math.PI) * noSectors) % noSectors;
+		const distance = Math.hypot(dx, dy);
+		if (!sectors[sector] || sectors[sector].distance < distance)
+			sectors[sector] = {x: space.x, y: space.y, distance};
+	}
+	return sectors.filter(point => point !== null).map(point => ({x: point.x, y: point.y}));
+}
+
+// Highlights all spaces that can be reached from `origin` with the given budget
+export function showReachableArea(origin, budget, options={}) {
+	hideReachableArea();
+	const color = options.color ?? canvas.controls.ruler.color;
+	const spaces = getReachableSpaces(origin, budget, options);
+	if (canvas.grid.type === CONST.GRID_TYPES.GRIDLESS || options.ignoreGrid) {
+		if (!canvas.terrainRulerReachableArea?._geometry)
+			canvas.terrainRulerReachableArea = canvas.controls.addChild(new PIXI.Graphics());
+		const contour = getReachableContour(origin, spaces);
+		canvas.terrainRulerReachableArea.lineStyle(2, color, 0.8).beginFill(color, 0.2).drawPolygon(contour.flatMap(point => [point.x, point.y])).endFill();
+	}
+	else {
+		canvas.grid.addHighlightLayer(HIGHLIGHT_LAYER_NAME);
+		for (const space of spaces) {
+			const [x, y] = getPixelsFromGridPosition(space.x, space.y);
+			canvas.grid.highlightPosition(HIGHLIGHT_LAYER_NAME, {x, y, color});
+		}
+	}
+	return spaces;
+}
+
+export function hideReachableArea() {
+	canvas.grid.highlightLayers[HIGHLIGHT_LAYER_NAME]?.clear();
+	canvas.terrainRulerReachableArea?.clear();
+}
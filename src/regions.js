@@ -0,0 +1,277 @@
+import {onCacheInvalidated} from "./cache.js";
+import {getCostProviders} from "./cost_providers.js";
+import {Arc, calcDistance, Circle, Segment, toRad} from "./geometry.js";
+import {getSnapshotRegionIndex, isSnapshotActive} from "./snapshot.js";
+import {SpatialIndex} from "./spatial_index.js";
+
+// Regions are the areas of a scene that may have a different terrain cost than their surroundings. They're contributed by the
+// cost providers (via `getRegions`) and are used to split gridless measurements into pieces of uniform cost. A region consists of
+// - `id`: The id of the object the region was created from
+// - `edges`: The boundary of the region as geometry objects (Segment, Circle or Arc)
+// - `bounds`: The bounding box of the region in pixels
+// - `contains(point)`: Whether the point (in pixels) lies within the region
+
+// Pieces shorter than this (in pixels) are caused by rounding errors or tangential hits and are dropped
+const MIN_PIECE_LENGTH = 0.0001;
+
+// The collected regions stay valid until the cache is invalidated by a change to the scene
+let regionIndex = null;
+onCacheInvalidated(() => regionIndex = null);
+
+// Creates a region from one or more rings of points ([x1, y1, x2, y2, ...] in pixels). Points that are enclosed by an odd number of
+// rings lie within the region, which allows polygons to have holes.
+export function createPolygonRegion(id, rings) {
+	const edges = [];
+	for (const ring of rings) {
+		for (let i = 0;i < ring.length;i += 2) {
+			const start = {x: ring[i], y: ring[i + 1]};
+			const end = {x: ring[(i + 2) % ring.length], y: ring[(i + 3) % ring.length]};
+			if (start.x !== end.x || start.y !== end.y)
+				edges.push(Segment.fromPoints(start, end));
+		}
+	}
+	const xs = rings.flatMap(ring => ring.filter((value, i) => i % 2 === 0));
+	const ys = rings.flatMap(ring => ring.filter((value, i) => i % 2 === 1));
+	return {
+		id,
+		edges,
+		bounds: {minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys)},
+		contains: point => rings.reduce((inside, ring) => inside !== isInsideRing(ring, point), false),
+	};
+}
+
+export function createRectangleRegion(id, x, y, width, height) {
+	return createPolygonRegion(id, [[x, y, x + width, y, x + width, y + height, x, y + height]]);
+}
+
+export function createCircleRegion(id, center, radius) {
+	return {
+		id,
+		edges: [new Circle(center, radius)],
+		bounds: {minX: center.x - radius, minY: center.y - radius, maxX: center.x + radius, maxY: center.y + radius},
+		contains: point => calcDistance(center, point) <= radius,
+	};
+}
+
+// `direction` and `angle` (in radians) follow the conventions of Arc: the direction points from the tip of the cone to its origin
+export function createConeRegion(id, origin, radius, direction, angle) {
+	const startDirection = direction - angle / 2;
+	const endDirection = direction + angle / 2;
+	return {
+		id,
+		edges: [
+			new Arc(origin, radius, direction, angle),
+			Segment.fromPoints(origin, {x: origin.x - Math.cos(startDirection) * radius, y: origin.y - Math.sin(startDirection) * radius}),
+			Segment.fromPoints(origin, {x: origin.x - Math.cos(endDirection) * radius, y: origin.y - Math.sin(endDirection) * radius}),
+		],
+		bounds: {minX: origin.x - radius, minY: origin.y - radius, maxX: origin.x + radius, maxY: origin.y + radius},
+		contains: point => {
+			if (calcDistance(origin, point) > radius)
+				return false;
+			if (point.x === origin.x && point.y === origin.y)
+				return true;
+			const pointDirection = Math.atan2(origin.y - point.y, origin.x - point.x);
+			// The difference between both directions, normalized to -π..π
+			const difference = Math.atan2(Math.sin(pointDirection - direction), Math.cos(pointDirection - direction));
+			return Math.abs(difference) <= angle / 2 + 0.000001;
+		},
+	};
+}
+
+// Creates the region covered by a placeable with a polygonal shape, like the terrain of Enhanced Terrain Layer
+export function getPolygonRegion(placeable) {
+	const points = placeable.shape.points.map((value, i) => value + (i % 2 === 0 ? placeable.x : placeable.y));
+	return createPolygonRegion(placeable.id, [points]);
+}
+
+export function getTemplateRegion(template) {
+	const shape = template.shape;
+	if (template.data.t === "cone") {
+		const radius = template.data.distance * canvas.dimensions.size / canvas.dimensions.distance;
+		return createConeRegion(template.id, {x: template.data.x, y: template.data.y}, radius, toRad(template.data.direction + 180), toRad(template.data.angle));
+	}
+	if (shape instanceof PIXI.Polygon)
+		return getPolygonRegion(template);
+	if (shape instanceof PIXI.Circle)
+		return createCircleRegion(template.id, {x: template.x + shape.x, y: template.y + shape.y}, shape.radius);
+	if (shape instanceof NormalizedRectangle)
+		return createRectangleRegion(template.id, template.x + shape.x, template.y + shape.y, shape.width, shape.height);
+	console.warn("Terrain Ruler | Unkown measurement template shape ignored", shape);
+	return null;
+}
+
+// Ellipses are approximated by polygons with this many corners
+const ELLIPSE_CORNERS = 48;
+
+// Creates the region covered by a drawing. Text drawings cover their bounding box.
+export function getDrawingRegion(drawing) {
+	const data = drawing.data;
+	if (data.type === CONST.DRAWING_TYPES.POLYGON || data.type === CONST.DRAWING_TYPES.FREEHAND) {
+		const points = data.points.flatMap(([x, y]) => [data.x + x, data.y + y]);
+		return createPolygonRegion(drawing.id, [rotatePoints(points, getRectangleCenter(data), data.rotation)]);
+	}
+	if (data.type === CONST.DRAWING_TYPES.ELLIPSE) {
+		const center = getRectangleCenter(data);
+		if (data.width === data.height)
+			return createCircleRegion(drawing.id, center, data.width / 2);
+		return createPolygonRegion(drawing.id, [rotatePoints(getEllipsePoints(center, data.width, data.height), center, data.rotation)]);
+	}
+	return getRotatedRectangleRegion(drawing.id, data);
+}
+
+// Returns the outline of a drawing as lines ([x1, y1, x2, y2] in pixels). Polygons and freehand drawings are open lines, which are
+// only closed if their last point returns to the first one. Ellipses (including circles) are approximated by polygons.
+export function getDrawingOutline(drawing) {
+	const data = drawing.data;
+	const center = getRectangleCenter(data);
+	let points;
+	let closed = true;
+	if (data.type === CONST.DRAWING_TYPES.POLYGON || data.type === CONST.DRAWING_TYPES.FREEHAND) {
+		points = data.points.flatMap(([x, y]) => [data.x + x, data.y + y]);
+		closed = false;
+	}
+	else if (data.type === CONST.DRAWING_TYPES.ELLIPSE) {
+		points = getEllipsePoints(center, data.width, data.height);
+	}
+	else {
+		points = [data.x, data.y, data.x + data.width, data.y, data.x + data.width, data.y + data.height, data.x, data.y + data.height];
+	}
+	points = rotatePoints(points, center, data.rotation);
+
+	const count = points.length / 2;
+	const lines = [];
+	for (let i = 0;i < (closed ? count : count - 1);i++) {
+		const j = (i + 1) % count;
+		if (points[i * 2] !== points[j * 2] || points[i * 2 + 1] !== points[j * 2 + 1])
+			lines.push([points[i * 2], points[i * 2 + 1], points[j * 2], points[j * 2 + 1]]);
+	}
+	return lines;
+}
+
+function getEllipsePoints(center, width, height) {
+	const points = [];
+	for (let i = 0;i < ELLIPSE_CORNERS;i++) {
+		const angle = i / ELLIPSE_CORNERS * 2 * Math.PI;
+		points.push(center.x + Math.cos(angle) * width / 2, center.y + Math.sin(angle) * height / 2);
+	}
+	return points;
+}
+
+export function getTileRegion(tile) {
+	return getRotatedRectangleRegion(tile.id, tile.data);
+}
+
+// Creates the region of a rectangle ({x, y, width, height}) that is rotated by `rotation` degrees around its center
+function getRotatedRectangleRegion(id, data) {
+	const {x, y, width, height} = data;
+	if (!data.rotation)
+		return createRectangleRegion(id, x, y, width, height);
+	const points = [x, y, x + width, y, x + width, y + height, x, y + height];
+	return createPolygonRegion(id, [rotatePoints(points, getRectangleCenter(data), data.rotation)]);
+}
+
+function getRectangleCenter(data) {
+	return {x: data.x + data.width / 2, y: data.y + data.height / 2};
+}
+
+function rotatePoints(points, center, degrees) {
+	if (!degrees)
+		return points;
+	const angle = toRad(degrees);
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	const rotated = [];
+	for (let i = 0;i < points.length;i += 2) {
+		const dx = points[i] - center.x;
+		const dy = points[i + 1] - center.y;
+		rotated.push(center.x + dx * cos - dy * sin, center.y + dx * sin + dy * cos);
+	}
+	return rotated;
+}
+
+// Returns a spatial index of the regions of all enabled cost providers
+export function getRegionIndex() {
+	if (isSnapshotActive())
+		return getSnapshotRegionIndex();
+	if (!regionIndex) {
+		regionIndex = new SpatialIndex(canvas.dimensions.size * 4);
+		for (const region of collectRegions())
+			regionIndex.insert(region, region.bounds);
+	}
+	return regionIndex;
+}
+
+export function collectRegions() {
+	const regions = new Map();
+	for (const provider of getCostProviders()) {
+		if (!provider.enabled || !provider.getRegions)
+			continue;
+		// Several providers may report the same object (like templates), but every region is only needed once
+		for (const region of provider.getRegions()) {
+			if (region)
+				regions.set(region.id ?? regions.size, region);
+		}
+	}
+	return Array.from(regions.values());
+}
+
+// Splits the segment from A to B (in pixels) at every boundary of the given regions, so that the cost is uniform along each piece.
+// The cost of a piece is determined by calling the cost function at its midpoint, so overlapping regions stack in the same way
+// as they do on grids, according to the combine strategy of the cost providers. Adjacent pieces with the same cost that lie within
+// the same regions are merged. Returns the pieces as {A, B, length, cost, regions}, where `length` is in pixels and `regions`
+// contains the ids of the regions that cover the piece.
+export function integrateSegment(A, B, regions, costFunction) {
+	const length = calcDistance(A, B);
+	if (length === 0)
+		return [];
+	const segment = Segment.fromPoints(A, B);
+	const boundaries = [0, 1];
+	for (const region of regions) {
+		for (const edge of region.edges) {
+			for (const point of edge.intersection(segment))
+				boundaries.push(projectOntoSegment(A, B, point));
+		}
+	}
+	boundaries.sort((a, b) => a - b);
+
+	const pieces = [];
+	for (let i = 0;i < boundaries.length - 1;i++) {
+		const [start, end] = [boundaries[i], boundaries[i + 1]];
+		if ((end - start) * length < MIN_PIECE_LENGTH)
+			continue;
+		const midpoint = interpolate(A, B, (start + end) / 2);
+		const cost = costFunction(midpoint.x, midpoint.y);
+		const covering = regions.filter(region => region.contains(midpoint)).map(region => region.id);
+		const previous = pieces[pieces.length - 1];
+		if (previous && previous.cost === cost && previous.regions.join() === covering.join()) {
+			previous.B = interpolate(A, B, end);
+			previous.length += (end - start) * length;
+			continue;
+		}
+		pieces.push({A: interpolate(A, B, start), B: interpolate(A, B, end), length: (end - start) * length, cost, regions: covering});
+	}
+	return pieces;
+}
+
+// Even-odd test whether a point lies within a single ring
+function isInsideRing(ring, point) {
+	let inside = false;
+	for (let i = 0, j = ring.length - 2;i < ring.length;j = i, i += 2) {
+		const [x1, y1, x2, y2] = [ring[i], ring[i + 1], ring[j], ring[j + 1]];
+		if ((y1 > point.y) !== (y2 > point.y) && point.x < (x2 - x1) * (point.y - y1) / (y2 - y1) + x1)
+			inside = !inside;
+	}
+	return inside;
+}
+
+// Returns how far along the segment (0..1) the point lies
+function projectOntoSegment(A, B, point) {
+	const dx = B.x - A.x;
+	const dy = B.y - A.y;
+	const t = ((point.x - A.x) * dx + (point.y - A.y) * dy) / (dx * dx + dy * dy);
+	return Math.min(Math.max(t, 0), 1);
+}
+
+function interpolate(A, B, t) {
+	return {x: A.x + (B.x - A.x) * t, y: A.y + (B.y - A.y) * t};
+}
@@ -0,0 +1,151 @@
+import {invalidateCache} from "./cache.js";
+import {getCanvas} from "./snapshot.js";
+
+// Registry for the policies that round measured distances, for game systems that only allow distances in whole grid units.
+// Multipliers like 1.5 or overlapping terrain would otherwise produce distances like 17.5 ft. A policy consists of
+// - `scope`: Which distances are rounded. One of
+//   - "space": The distance each space adds (on gridless scenes there are no spaces, so the distance of each segment is rounded)
+//   - "segment": The distance of each segment
+//   - "total": The distance from the start of the measurement, so rounding errors don't add up over several segments
+//   - "none": Nothing is rounded
+// - `round(distance, unit)`: Rounds a distance (in scene units) to a multiple of `unit`, the size of a space in scene units
+// The visited spaces and sub segments attached to the rays are rounded in the same way, so their `distance` always matches the
+// distance measured up to that space.
+
+// Distances that are off from a multiple of the unit by less than this fraction of the unit count as that multiple
+const TOLERANCE = 0.000001;
+
+const policies = new Map();
+// The policies used by default, by game system
+const presets = new Map();
+
+export function registerRoundingPolicy(id, policy) {
+	const scope = policy.scope ?? "none";
+	if (!["space", "segment", "total", "none"].includes(scope))
+		throw new Error(`Terrain Ruler | Rounding policy "${id}" has an unknown scope "${scope}"`);
+	if (scope !== "none" && typeof policy.round !== "function")
+		throw new Error(`Terrain Ruler | Rounding policy "${id}" must provide a round function`);
+	policies.set(id, {
+		id,
+		name: policy.name ?? id,
+		scope,
+		round: policy.round ?? (distance => distance),
+	});
+	invalidateCache();
+}
+
+// Makes a game system use the given rounding policy unless another one is picked in the settings
+export function registerRoundingPreset(systemId, policyId) {
+	presets.set(systemId, policyId);
+	invalidateCache();
+}
+
+export function getRoundingPolicies() {
+	return Array.from(policies.values());
+}
+
+// Determines which rounding policy is active. The policy can be picked via measurement options, per scene or for the whole world.
+// If none of those is set, the preset of the game system is used.
+export function getRoundingPolicy(options={}) {
+	const id = options.rounding || getCanvas().scene?.getFlag("terrain-ruler", "rounding") || game.settings.get("terrain-ruler", "rounding");
+	if (id && id !== "auto") {
+		const policy = policies.get(id);
+		if (policy)
+			return policy;
+		console.warn(`Terrain Ruler | Unknown rounding policy "${id}", falling back to the default policy`);
+	}
+	return policies.get(presets.get(game.system.id)) ?? policies.get("none");
+}
+
+// Rounds the measured distances of the segments according to the active policy and updates the results attached to the rays
+export function roundDistances(segments, distances, options) {
+	const policy = getRoundingPolicy(options);
+	if (policy.scope === "none")
+		return distances;
+	const unit = getCanvas().dimensions.distance;
+	const round = distance => policy.round(distance, unit);
+
+	let total = 0;
+	let roundedTotal = 0;
+	return segments.map((segment, i) => {
+		const ray = segment.ray;
+		const distance = distances[i];
+		if (!isFinite(distance) || !isFinite(total))
+			return distance;
+		let rounded;
+		if (policy.scope === "total") {
+			const [start, roundedStart] = [total, roundedTotal];
+			roundEntries(ray, entryDistance => round(start + entryDistance) - roundedStart);
+			total += distance;
+			roundedTotal = round(total);
+			rounded = roundedTotal - roundedStart;
+		}
+		else if (policy.scope === "space" && ray.terrainRulerVisitedSpaces?.length > 0) {
+			rounded = roundSpaces(ray.terrainRulerVisitedSpaces, distance, round);
+		}
+		else {
+			roundEntries(ray, round);
+			rounded = round(distance);
+		}
+		if (ray.terrainRulerBreakdown)
+			ray.terrainRulerBreakdown.rounding = rounded - distance;
+		return rounded;
+	});
+}
+
+// Rounds the distance every space adds. Whatever isn't part of a space (like vertical movement) is rounded on its own.
+function roundSpaces(spaces, distance, round) {
+	let previous = 0;
+	let rounded = 0;
+	for (const space of spaces) {
+		rounded += round(space.distance - previous);
+		previous = space.distance;
+		space.distance = rounded;
+	}
+	return rounded + round(distance - previous);
+}
+
+function roundEntries(ray, round) {
+	for (const entry of (ray.terrainRulerVisitedSpaces ?? []).concat(ray.terrainRulerSubSegments ?? []))
+		entry.distance = round(entry.distance);
+}
+
+function ceilToUnit(distance, unit) {
+	return Math.ceil(distance / unit - TOLERANCE) * unit;
+}
+
+function roundToUnit(distance, unit) {
+	return Math.round(distance / unit) * unit;
+}
+
+export function registerDefaultRoundingPolicies() {
+	registerRoundingPolicy("none", {
+		name: "terrain-ruler.roundingPolicies.none",
+		scope: "none",
+	});
+
+	// Every space costs a whole number of spaces, so a space with a multiplier of 1.5 costs as much as one with a multiplier of 2
+	registerRoundingPolicy("ceilSpace", {
+		name: "terrain-ruler.roundingPolicies.ceilSpace",
+		scope: "space",
+		round: ceilToUnit,
+	});
+
+	registerRoundingPolicy("roundSegment", {
+		name: "terrain-ruler.roundingPolicies.roundSegment",
+		scope: "segment",
+		round: roundToUnit,
+	});
+
+	registerRoundingPolicy("roundTotal", {
+		name: "terrain-ruler.roundingPolicies.roundTotal",
+		scope: "total",
+		round: roundToUnit,
+	});
+
+	// Pathfinder and D&D 3.5 count movement in whole squares. D&D 5e counts in feet, but only allows whole grid units on grids.
+	registerRoundingPreset("pf1", "ceilSpace");
+	registerRoundingPreset("pf2e", "ceilSpace");
+	registerRoundingPreset("D35E", "ceilSpace");
+	registerRoundingPreset("dnd5e", "roundTotal");
+}
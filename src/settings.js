@@ -0,0 +1,262 @@
+import {invalidateCache} from "./cache.js";
+import {getDiagonalRules} from "./diagonal_rules.js";
+import {getRoundingPolicies} from "./rounding.js";
+import {getDefaultSpeedAttribute} from "./speed.js";
+
+// Settings are registered during setup, so that systems and modules had the chance to register their rules during init
+export function registerSettings() {
+	game.settings.register("terrain-ruler", "diagonalRule", {
+		name: "terrain-ruler.settings.diagonalRule.name",
+		hint: "terrain-ruler.settings.diagonalRule.hint",
+		scope: "world",
+		config: true,
+		type: String,
+		default: "auto",
+		choices: getDiagonalRuleChoices("terrain-ruler.diagonalRules.auto"),
+		onChange: () => invalidateCache(),
+	});
+
+	game.settings.register("terrain-ruler", "rounding", {
+		name: "terrain-ruler.settings.rounding.name",
+		hint: "terrain-ruler.settings.rounding.hint",
+		scope: "world",
+		config: true,
+		type: String,
+		default: "auto",
+		choices: getRoundingPolicyChoices("terrain-ruler.roundingPolicies.auto"),
+	});
+
+	game.settings.register("terrain-ruler", "showCostBreakdown", {
+		name: "terrain-ruler.settings.showCostBreakdown.name",
+		hint: "terrain-ruler.settings.showCostBreakdown.hint",
+		scope: "client",
+		config: true,
+		type: Boolean,
+		default: false,
+	});
+
+	game.settings.register("terrain-ruler", "considerWalls", {
+		name: "terrain-ruler.settings.considerWalls.name",
+		hint: "terrain-ruler.settings.considerWalls.hint",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: false,
+		onChange: () => invalidateCache(),
+	});
+
+	game.settings.register("terrain-ruler", "doorCost", {
+		name: "terrain-ruler.settings.doorCost.name",
+		hint: "terrain-ruler.settings.doorCost.hint",
+		scope: "world",
+		config: true,
+		type: Number,
+		default: 1,
+		onChange: () => invalidateCache(),
+	});
+
+	game.settings.register("terrain-ruler", "terrainVisibility", {
+		name: "terrain-ruler.settings.terrainVisibility.name",
+		hint: "terrain-ruler.settings.terrainVisibility.hint",
+		scope: "world",
+		config: true,
+		type: String,
+		default: "hidden",
+		choices: {
+			hidden: "terrain-ruler.settings.terrainVisibility.hidden",
+			explored: "terrain-ruler.settings.terrainVisibility.explored",
+			visible: "terrain-ruler.settings.terrainVisibility.visible",
+		},
+		onChange: () => invalidateCache(),
+	});
+
+	game.settings.register("terrain-ruler", "showSpeedBands", {
+		name: "terrain-ruler.settings.showSpeedBands.name",
+		hint: "terrain-ruler.settings.showSpeedBands.hint",
+		scope: "client",
+		config: true,
+		type: Boolean,
+		default: true,
+	});
+
+	game.settings.register("terrain-ruler", "speedAttribute", {
+		name: "terrain-ruler.settings.speedAttribute.name",
+		hint: "terrain-ruler.settings.speedAttribute.hint",
+		scope: "world",
+		config: true,
+		type: String,
+		default: getDefaultSpeedAttribute(),
+	});
+
+	game.settings.register("terrain-ruler", "dashMultiplier", {
+		name: "terrain-ruler.settings.dashMultiplier.name",
+		hint: "terrain-ruler.settings.dashMultiplier.hint",
+		scope: "world",
+		config: true,
+		type: Number,
+		default: 2,
+	});
+
+	for (const [key, color] of [["speedColor", "#00ff00"], ["dashColor", "#ffff00"], ["unreachableColor", "#ff0000"]]) {
+		game.settings.register("terrain-ruler", key, {
+			name: `terrain-ruler.settings.${key}.name`,
+			hint: `terrain-ruler.settings.${key}.hint`,
+			scope: "client",
+			config: true,
+			type: String,
+			default: color,
+		});
+	}
+
+	game.settings.register("terrain-ruler", "movementLedger", {
+		name: "terrain-ruler.settings.movementLedger.name",
+		hint: "terrain-ruler.settings.movementLedger.hint",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: true,
+		onChange: () => ui.combat.render(),
+	});
+
+	game.settings.register("terrain-ruler", "followPath", {
+		name: "terrain-ruler.settings.followPath.name",
+		hint: "terrain-ruler.settings.followPath.hint",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: false,
+	});
+
+	game.settings.register("terrain-ruler", "defaultActive", {
+		name: "terrain-ruler.settings.defaultActive.name",
+		hint: "terrain-ruler.settings.defaultActive.hint",
+		scope: "client",
+		config: true,
+		type: Boolean,
+		default: true,
+	});
+
+	game.settings.register("terrain-ruler", "availability", {
+		name: "terrain-ruler.settings.availability.name",
+		hint: "terrain-ruler.settings.availability.hint",
+		scope: "world",
+		config: true,
+		type: String,
+		default: "everyone",
+		choices: {
+			everyone: "terrain-ruler.settings.availability.everyone",
+			gm: "terrain-ruler.settings.availability.gm",
+		},
+		onChange: () => ui.controls.initialize(),
+	});
+
+	game.settings.register("terrain-ruler", "toggleKey", {
+		name: "terrain-ruler.settings.toggleKey.name",
+		hint: "terrain-ruler.settings.toggleKey.hint",
+		scope: "client",
+		config: true,
+		type: String,
+		default: "t",
+	});
+
+	game.settings.register("terrain-ruler", "raiseElevationKey", {
+		name: "terrain-ruler.settings.raiseElevationKey.name",
+		hint: "terrain-ruler.settings.raiseElevationKey.hint",
+		scope: "client",
+		config: true,
+		type: String,
+		default: "PageUp",
+	});
+
+	game.settings.register("terrain-ruler", "lowerElevationKey", {
+		name: "terrain-ruler.settings.lowerElevationKey.name",
+		hint: "terrain-ruler.settings.lowerElevationKey.hint",
+		scope: "client",
+		config: true,
+		type: String,
+		default: "PageDown",
+	});
+
+	game.settings.register("terrain-ruler", "debug", {
+		name: "terrain-ruler.settings.debug.name",
+		hint: "terrain-ruler.settings.debug.hint",
+		scope: "client",
+		config: true,
+		type: Boolean,
+		default: false,
+		onChange: () => invalidateCache(),
+	});
+}
+
+// Whether the current user may use the terrain ruler at all
+export function isTerrainRulerAvailable() {
+	return game.settings.get("terrain-ruler", "availability") !== "gm" || game.user.isGM;
+}
+
+// Determines whether the terrain ruler starts out active on the given scene. Scenes can override the default of the user.
+export function getInitialActiveState(scene) {
+	const override = scene?.getFlag("terrain-ruler", "active");
+	if (override === "on")
+		return true;
+	if (override === "off")
+		return false;
+	return game.settings.get("terrain-ruler", "defaultActive");
+}
+
+export function isDebugEnabled() {
+	return game.settings.get("terrain-ruler", "debug");
+}
+
+function getDiagonalRuleChoices(defaultLabel) {
+	const choices = {auto: defaultLabel};
+	for (const rule of getDiagonalRules())
+		choices[rule.id] = rule.name;
+	return choices;
+}
+
+function getRoundingPolicyChoices(defaultLabel) {
+	const choices = {auto: defaultLabel};
+	for (const policy of getRoundingPolicies())
+		choices[policy.id] = policy.name;
+	return choices;
+}
+
+// Adds a selection for the diagonal rule, the rounding policy and whether the terrain ruler starts out active to the scene configuration
+export function injectSceneConfig(app, html) {
+	const scene = app.object;
+	const diagonalRuleChoices = {"": game.i18n.localize("terrain-ruler.sceneConfig.worldDefault")};
+	for (const [id, name] of Object.entries(getDiagonalRuleChoices("terrain-ruler.diagonalRules.auto")))
+		diagonalRuleChoices[id] = game.i18n.localize(name);
+	const roundingChoices = {"": game.i18n.localize("terrain-ruler.sceneConfig.worldDefault")};
+	for (const [id, name] of Object.entries(getRoundingPolicyChoices("terrain-ruler.roundingPolicies.auto")))
+		roundingChoices[id] = game.i18n.localize(name);
+	const activeChoices = {
+		"": game.i18n.localize("terrain-ruler.sceneConfig.userDefault"),
+		on: game.i18n.localize("terrain-ruler.sceneConfig.activeOn"),
+		off: game.i18n.localize("terrain-ruler.sceneConfig.activeOff"),
+	};
+	const formGroups = $(`
+		<div class="form-group">
+			<label>${game.i18n.localize("terrain-ruler.settings.diagonalRule.name")}</label>
+			${buildSelect("flags.terrain-ruler.diagonalRule", diagonalRuleChoices, scene.getFlag("terrain-ruler", "diagonalRule") ?? "")}
+			<p class="notes">${game.i18n.localize("terrain-ruler.sceneConfig.diagonalRuleHint")}</p>
+		</div>
+		<div class="form-group">
+			<label>${game.i18n.localize("terrain-ruler.settings.rounding.name")}</label>
+			${buildSelect("flags.terrain-ruler.rounding", roundingChoices, scene.getFlag("terrain-ruler", "rounding") ?? "")}
+			<p class="notes">${game.i18n.localize("terrain-ruler.sceneConfig.roundingHint")}</p>
+		</div>
+		<div class="form-group">
+			<label>${game.i18n.localize("terrain-ruler.sceneConfig.active")}</label>
+			${buildSelect("flags.terrain-ruler.active", activeChoices, scene.getFlag("terrain-ruler", "active") ?? "")}
+			<p class="notes">${game.i18n.localize("terrain-ruler.sceneConfig.activeHint")}</p>
+		</div>
+	`);
+	html.find('select[name="gridType"]').closest(".form-group").after(formGroups);
+	app.setPosition({height: "auto"});
+}
+
+function buildSelect(name, choices, selected) {
+	const options = Object.entries(choices).map(([id, label]) => `<option value="${id}" ${id === selected ? "selected" : ""}>${label}</option>`).join("");
+	return `<select name="${name}">${options}</select>`;
+}
@@ -0,0 +1,106 @@
+import {SpatialIndex} from "./spatial_index.js";
+
+// Snapshots capture everything a measurement reads from the canvas, so that measurements can run against a scene that isn't
+// (or no longer) displayed. A snapshot is an object consisting of
+// - `grid`: {type, size, distance, width, height, diagonalRule, rounding}: The grid type (one of CONST.GRID_TYPES), the size of
+//   a space in pixels and in scene units, the size of the scene in pixels and the ids of the diagonal rule and rounding policy
+// - `costs` (optional): The cost of the spaces of grid scenes as {"x,y": cost}. Spaces that aren't listed cost 1.
+// - `regions` (optional): The regions of gridless scenes (see regions.js), each with an additional `cost`. Where regions
+//   overlap the highest cost applies.
+// - `walls` (optional): The walls that cost something to cross as [{c: [x1, y1, x2, y2], cost}], or with `blocked: true`
+//   instead of a cost if they can't be crossed
+// - `edges` (optional): The terrain edges (see edge_costs.js) in the same format as `walls`
+// - `getCost(x, y, options)` (optional): Replaces the lookup in `costs` and `regions`
+// Snapshots can be created from the current scene via `createSnapshot` (see batch.js) or be assembled by other modules.
+
+// The snapshot that measurements currently run against, together with the data derived from it
+let activeSnapshot = null;
+const preparedSnapshots = new WeakMap();
+
+// Returns the canvas that measurements run against: Either the live canvas or a view of the active snapshot that provides
+// the same properties
+export function getCanvas() {
+	return activeSnapshot?.canvas ?? canvas;
+}
+
+export function isSnapshotActive() {
+	return activeSnapshot !== null;
+}
+
+// Runs `fn` against the given snapshot. Snapshots are only active while `fn` runs, so `fn` must not be async.
+export function withSnapshot(snapshot, fn) {
+	if (!snapshot)
+		return fn();
+	const previousSnapshot = activeSnapshot;
+	activeSnapshot = prepareSnapshot(snapshot);
+	try {
+		return fn();
+	}
+	finally {
+		activeSnapshot = previousSnapshot;
+	}
+}
+
+// Returns data derived from the active snapshot, which is only calculated once per snapshot
+export function getSnapshotData(key, create) {
+	const data = activeSnapshot.data;
+	if (!data.has(key))
+		data.set(key, create(activeSnapshot.snapshot));
+	return data.get(key);
+}
+
+// Creates the cost function for measurements against the active snapshot
+export function getSnapshotCostFunction() {
+	const snapshot = activeSnapshot.snapshot;
+	if (snapshot.getCost)
+		return snapshot.getCost;
+	if (snapshot.grid.type === CONST.GRID_TYPES.GRIDLESS) {
+		const regions = getSnapshotRegionIndex();
+		return (x, y) => {
+			const point = {x, y};
+			const costs = regions.query({minX: x, minY: y, maxX: x, maxY: y}).filter(region => region.contains(point)).map(region => region.cost);
+			return Math.max(1, ...costs);
+		};
+	}
+	const costs = snapshot.costs ?? {};
+	return (x, y) => costs[`${x},${y}`] ?? 1;
+}
+
+export function getSnapshotRegionIndex() {
+	return getSnapshotData("regions", snapshot => {
+		const index = new SpatialIndex(snapshot.grid.size * 4);
+		for (const region of snapshot.regions ?? [])
+			index.insert(region, region.bounds);
+		return index;
+	});
+}
+
+function prepareSnapshot(snapshot) {
+	let prepared = preparedSnapshots.get(snapshot);
+	if (!prepared) {
+		prepared = {snapshot, canvas: createCanvasView(snapshot.grid), data: new Map()};
+		preparedSnapshots.set(snapshot, prepared);
+	}
+	return prepared;
+}
+
+// Builds an object that looks like the parts of the canvas that measurements use
+function createCanvasView({type, size, distance, width, height}) {
+	const options = {
+		dimensions: {size, distance, width, height},
+		columns: [CONST.GRID_TYPES.HEXODDQ, CONST.GRID_TYPES.HEXEVENQ].includes(type),
+		even: [CONST.GRID_TYPES.HEXEVENR, CONST.GRID_TYPES.HEXEVENQ].includes(type),
+	};
+	let grid;
+	if (type === CONST.GRID_TYPES.GRIDLESS)
+		grid = new BaseGrid(options);
+	else if (type === CONST.GRID_TYPES.SQUARE)
+		grid = new SquareGrid(options);
+	else
+		grid = new HexagonalGrid(options);
+	return {
+		scene: null,
+		grid: {type, w: grid.w ?? size, h: grid.h ?? size, grid},
+		dimensions: options.dimensions,
+	};
+}
@@ -0,0 +1,47 @@
+// A uniform grid that stores items by their bounding box, to quickly find the items that might intersect a given area
+export class SpatialIndex {
+	constructor(cellSize) {
+		this.cellSize = cellSize;
+		this.cells = new Map();
+	}
+
+	// bounds: {minX, minY, maxX, maxY}
+	insert(item, bounds) {
+		for (const key of this.getCellKeys(bounds)) {
+			let cell = this.cells.get(key);
+			if (!cell) {
+				cell = [];
+				this.cells.set(key, cell);
+			}
+			cell.push(item);
+		}
+	}
+
+	// Returns all items whose bounding box shares a cell with the given bounds. Each item is returned only once.
+	query(bounds) {
+		const result = new Set();
+		for (const key of this.getCellKeys(bounds)) {
+			const cell = this.cells.get(key);
+			if (cell) {
+				for (const item of cell)
+					result.add(item);
+			}
+		}
+		return Array.from(result);
+	}
+
+	*getCellKeys(bounds) {
+		const minX = Math.floor(bounds.minX / this.cellSize);
+		const minY = Math.floor(bounds.minY / this.cellSize);
+		const maxX = Math.floor(bounds.maxX / this.cellSize);
+		const maxY = Math.floor(bounds.maxY / this.cellSize);
+		for (let x = minX;x <= maxX;x++) {
+			for (let y = minY;y <= maxY;y++)
+				yield `${x},${y}`;
+		}
+	}
+}
+
+export function getSegmentBounds(p1, p2) {
+	return {minX: Math.min(p1.x, p2.x), minY: Math.min(p1.y, p2.y), maxX: Math.max(p1.x, p2.x), maxY: Math.max(p1.y, p2.y)};
+}
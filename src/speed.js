@@ -0,0 +1,64 @@
+// Speed bands split the distance a token can move into ranges that are highlighted in different colors. A band is an object
+// {range, color}, where `range` is the distance (in scene units) up to which the band reaches. Distances beyond the last band
+// are highlighted in the color for unreachable spaces.
+
+// Where the walking speed of actors is stored by default, relative to the actor's data
+const DEFAULT_SPEED_ATTRIBUTES = {
+	dnd5e: "data.attributes.movement.walk",
+	sw5e: "data.attributes.movement.walk",
+	pf1: "data.attributes.speed.land.total",
+	pf2e: "data.attributes.speed.total",
+	swade: "data.stats.speed.adjusted",
+};
+
+export function getDefaultSpeedAttribute() {
+	return DEFAULT_SPEED_ATTRIBUTES[game.system.id] ?? "";
+}
+
+export function isSpeedBandsEnabled() {
+	return game.settings.get("terrain-ruler", "showSpeedBands");
+}
+
+// The default implementation of `terrainRuler.getSpeedBands`. It adds a band for moving normally and one for dashing.
+export function getSpeedBands(token) {
+	const speed = getTokenSpeed(token);
+	if (speed === null)
+		return [];
+	return [
+		{range: speed, color: colorStringToHex(game.settings.get("terrain-ruler", "speedColor"))},
+		{range: speed * game.settings.get("terrain-ruler", "dashMultiplier"), color: colorStringToHex(game.settings.get("terrain-ruler", "dashColor"))},
+	];
+}
+
+// Reads the speed of the token's actor from the configured attribute. Returns null if the token has no speed.
+export function getTokenSpeed(token) {
+	const attribute = game.settings.get("terrain-ruler", "speedAttribute");
+	if (!attribute || !token?.actor)
+		return null;
+	const speed = Number(getProperty(token.actor.data, attribute));
+	return speed > 0 ? speed : null;
+}
+
+// Returns the color of the band that the distance falls into, or null if there are no bands
+export function getSpeedBandColor(bands, distance) {
+	if (bands.length === 0)
+		return null;
+	const band = bands.find(band => distance <= band.range);
+	return band ? band.color : colorStringToHex(game.settings.get("terrain-ruler", "unreachableColor"));
+}
+
+// Asks `terrainRuler.getSpeedBands` for the bands of the token and orders them by their range
+export function getTokenSpeedBands(token) {
+	if (!token || !isSpeedBandsEnabled())
+		return [];
+	return (terrainRuler.getSpeedBands(token) ?? []).slice().sort((a, b) => a.range - b.range);
+}
+
+// Returns how far the token can move at most (the range of its last speed band), or null if it has no speed bands.
+// Unlike the highlighted bands, this doesn't depend on whether speed bands are shown.
+export function getTokenMovementRange(token) {
+	if (!token)
+		return null;
+	const ranges = (terrainRuler.getSpeedBands(token) ?? []).map(band => band.range);
+	return ranges.length > 0 ? Math.max(...ranges) : null;
+}
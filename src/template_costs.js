@@ -0,0 +1,75 @@
+import {getMovementModeId, getMovementModes} from "./movement_modes.js";
+import {gridPositionToPixelCenter} from "./pathfinding.js";
+import {getTemplateRegion} from "./regions.js";
+import {isTerrainPlaceableVisible} from "./visibility.js";
+
+// Cost provider for measurement templates that have been configured as difficult terrain.
+// The flag `multiplier` contains the cost of the template, `movementModes` optionally limits the template to certain movement modes.
+export function getCostMeasuredTemplates(x, y, options={}) {
+	if (!canvas.templates)
+		return undefined;
+	let point = {x, y};
+	if (canvas.grid.type !== CONST.GRID_TYPES.GRIDLESS && !options.ignoreGrid)
+		point = gridPositionToPixelCenter(point);
+	const movementMode = getMovementModeId(options);
+
+	let cost;
+	for (const template of canvas.templates.placeables) {
+		const multiplier = template.document.getFlag("terrain-ruler", "multiplier");
+		if (multiplier === undefined || multiplier === null || !isTerrainPlaceableVisible(template))
+			continue;
+		if (!appliesToMovementMode(template, movementMode))
+			continue;
+		if (!template.shape?.contains(point.x - template.data.x, point.y - template.data.y))
+			continue;
+		cost = Math.max(cost ?? multiplier, multiplier);
+	}
+	return cost;
+}
+
+// The regions of all visible templates that have been configured as difficult terrain, regardless of their movement modes
+export function getRegionsMeasuredTemplates() {
+	if (!canvas.templates)
+		return [];
+	return canvas.templates.placeables.filter(template => {
+		const multiplier = template.document.getFlag("terrain-ruler", "multiplier");
+		return multiplier !== undefined && multiplier !== null && isTerrainPlaceableVisible(template);
+	}).map(getTemplateRegion);
+}
+
+export function appliesToMovementMode(placeable, movementMode) {
+	const movementModes = placeable.document.getFlag("terrain-ruler", "movementModes") ?? {};
+	const selected = Object.keys(movementModes).filter(mode => movementModes[mode]);
+	// Placeables without any selected movement mode apply to all movement modes
+	return selected.length === 0 || selected.includes(movementMode);
+}
+
+// Adds fields for the terrain configuration to the measurement template configuration
+export function injectTemplateConfig(app, html) {
+	html.find('button[type="submit"]').before(createTerrainConfigFields(app.object, "terrain-ruler.templateConfig"));
+	app.setPosition({height: "auto"});
+}
+
+// Creates the form fields for the terrain multiplier and the affected movement modes of a document
+export function createTerrainConfigFields(document, langPrefix) {
+	const multiplier = document.getFlag("terrain-ruler", "multiplier") ?? "";
+	const selectedModes = document.getFlag("terrain-ruler", "movementModes") ?? {};
+	const modeCheckboxes = getMovementModes().map(mode => `
+		<label class="checkbox">
+			<input type="checkbox" name="flags.terrain-ruler.movementModes.${mode.id}" ${selectedModes[mode.id] ? "checked" : ""}>
+			${game.i18n.localize(mode.name)}
+		</label>
+	`).join("");
+	return $(`
+		<div class="form-group">
+			<label>${game.i18n.localize(`${langPrefix}.multiplier`)}</label>
+			<input type="number" name="flags.terrain-ruler.multiplier" value="${multiplier}" step="any" min="0" data-dtype="Number">
+			<p class="notes">${game.i18n.localize(`${langPrefix}.multiplierHint`)}</p>
+		</div>
+		<div class="form-group">
+			<label>${game.i18n.localize(`${langPrefix}.movementModes`)}</label>
+			<div class="form-fields">${modeCheckboxes}</div>
+			<p class="notes">${game.i18n.localize(`${langPrefix}.movementModesHint`)}</p>
+		</div>
+	`);
+}
@@ -0,0 +1,51 @@
+import {getPixelsFromGridPosition} from "./foundry_fixes.js";
+
+// How often (in milliseconds) to check whether the movement animation of a token has finished
+const ANIMATION_POLL_INTERVAL = 20;
+
+// Moves the token through the given spaces one by one, so it follows the route that has been measured instead of a straight line.
+// `spaces` are grid positions as in `terrainRulerVisitedSpaces` (points in pixels on gridless maps), starting with the space the
+// token is currently in. The token keeps its offset to that first space, which keeps tokens that are larger than one space aligned.
+// The movement stops early if the token would run into a wall or if the `distance` of the next space exceeds `options.budget`.
+// Resolves to {completed, space}, where `space` is the last space the token has reached.
+export async function moveTokenAlongPath(token, spaces, options={}) {
+	if (spaces.length === 0)
+		return {completed: true, space: null};
+	const wasPaused = game.paused;
+	const isGridless = canvas.grid.type === CONST.GRID_TYPES.GRIDLESS;
+	const toPixels = space => {
+		if (isGridless)
+			return {x: space.x, y: space.y};
+		const [x, y] = getPixelsFromGridPosition(space.x, space.y);
+		return {x, y};
+	};
+	const start = toPixels(spaces[0]);
+	const offset = {x: token.data.x - start.x, y: token.data.y - start.y};
+	const toCenter = position => ({x: position.x + token.w / 2, y: position.y + token.h / 2});
+
+	let reached = spaces[0];
+	for (const space of spaces.slice(1)) {
+		if (!wasPaused && game.paused)
+			return {completed: false, space: reached};
+		if (options.budget !== undefined && space.distance > options.budget) {
+			ui.notifications.warn(game.i18n.format("terrain-ruler.movement.budgetExceeded", {name: token.name}));
+			return {completed: false, space: reached};
+		}
+		const pixels = toPixels(space);
+		const destination = {x: pixels.x + offset.x, y: pixels.y + offset.y};
+		if (canvas.walls.checkCollision(new Ray(toCenter(token.data), toCenter(destination)))) {
+			ui.notifications.warn(game.i18n.format("terrain-ruler.movement.blocked", {name: token.name}));
+			return {completed: false, space: reached};
+		}
+		await token.document.update(destination);
+		await waitForMovementAnimation(token);
+		reached = space;
+	}
+	return {completed: true, space: reached};
+}
+
+// The next step must only start once the token has arrived, otherwise the animation would cut corners
+async function waitForMovementAnimation(token) {
+	while (token._movement)
+		await new Promise(resolve => setTimeout(resolve, ANIMATION_POLL_INTERVAL));
+}
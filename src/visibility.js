@@ -0,0 +1,91 @@
+import {invalidateMeasurements, onCacheInvalidated} from "./cache.js";
+import {gridPositionToPixelCenter} from "./pathfinding.js";
+
+// Players only measure the terrain they are able to see, so that the ruler doesn't reveal hidden terrain by suddenly costing more.
+// Hidden terrain is always ignored for players. Depending on the `terrainVisibility` setting, terrain is also ignored in areas
+// that haven't been explored ("explored") or that aren't visible right now ("visible"). The GM always measures the true cost.
+// Every client measures rulers on its own, so rulers shown to other users are measured with the view of each of them.
+
+// The explored areas are read back from the fog of war at this fraction of the scene's resolution
+const EXPLORED_RESOLUTION = 0.25;
+// Reading the explored areas back from the GPU is slow, so while the vision keeps changing they're read at most this often (in ms)
+const EXPLORED_REFRESH_INTERVAL = 1000;
+
+let exploredTest = null;
+let exploredRefresh = null;
+onCacheInvalidated(() => exploredTest = null);
+
+export function getTerrainVisibilityMode() {
+	return game.settings.get("terrain-ruler", "terrainVisibility");
+}
+
+// Whether a placeable that contributes terrain counts for the current user
+export function isTerrainPlaceableVisible(placeable) {
+	return game.user.isGM || !placeable.data.hidden;
+}
+
+// Whether terrain at the given space (or point in pixels on gridless maps) counts for the current user
+export function isTerrainSpaceRevealed(x, y, options={}) {
+	if (game.user.isGM || !canvas.sight?.tokenVision)
+		return true;
+	const mode = getTerrainVisibilityMode();
+	if (mode === "hidden")
+		return true;
+	let point = {x, y};
+	if (canvas.grid.type !== CONST.GRID_TYPES.GRIDLESS && !options.ignoreGrid)
+		point = gridPositionToPixelCenter(point);
+	if (canvas.sight.testVisibility(point, {tolerance: 0}))
+		return true;
+	if (mode === "visible")
+		return false;
+	if (!exploredTest)
+		exploredTest = createExploredTest();
+	return exploredTest(point);
+}
+
+// Renders the explored areas into a texture and reads it back, so that points can be tested without rendering every time
+function createExploredTest() {
+	const sight = canvas.sight;
+	if (!sight.fogExploration || !sight.revealed)
+		return () => true;
+	const renderer = canvas.app.renderer;
+	const width = Math.ceil(canvas.dimensions.width * EXPLORED_RESOLUTION);
+	const height = Math.ceil(canvas.dimensions.height * EXPLORED_RESOLUTION);
+	const texture = PIXI.RenderTexture.create({width, height});
+	renderer.render(sight.revealed, texture, true, new PIXI.Matrix(EXPLORED_RESOLUTION, 0, 0, EXPLORED_RESOLUTION));
+	const pixels = renderer.extract.pixels(texture);
+	texture.destroy(true);
+	return point => {
+		const x = Math.floor(point.x * EXPLORED_RESOLUTION);
+		const y = Math.floor(point.y * EXPLORED_RESOLUTION);
+		if (x < 0 || y < 0 || x >= width || y >= height)
+			return false;
+		return pixels[(y * width + x) * 4] > 0;
+	};
+}
+
+// The areas players can see change whenever the vision is refreshed, which affects the cost of the spaces. The terrain itself
+// stays the same, so the other caches are kept.
+export function registerVisibilityHooks() {
+	Hooks.on("sightRefresh", () => {
+		if (game.user.isGM)
+			return;
+		const mode = getTerrainVisibilityMode();
+		if (mode === "hidden")
+			return;
+		invalidateMeasurements();
+		if (mode === "explored")
+			scheduleExploredRefresh();
+	});
+}
+
+// The explored areas are read again once the interval has passed. Until then the previous ones are used.
+function scheduleExploredRefresh() {
+	if (exploredRefresh !== null)
+		return;
+	exploredRefresh = setTimeout(() => {
+		exploredRefresh = null;
+		exploredTest = null;
+		invalidateMeasurements();
+	}, EXPLORED_REFRESH_INTERVAL);
+}
@@ -0,0 +1,45 @@
+// Wraps Foundry's methods, either via libWrapper (if it's active) or by replacing the methods directly.
+// Every wrapper receives the wrapped method as first argument, followed by the original arguments.
+
+const registeredWrappers = [];
+const missingTargets = [];
+
+function useLibWrapper() {
+	return game.modules.get("lib-wrapper")?.active && typeof libWrapper !== "undefined";
+}
+
+// `type` follows libWrapper's semantics: "WRAPPER" wrappers always call the wrapped method, "MIXED" wrappers may skip it
+export function wrapMethod(className, cls, methodName, fn, type="WRAPPER") {
+	const target = `${className}.prototype.${methodName}`;
+	const prototype = cls?.prototype;
+	if (typeof prototype?.[methodName] !== "function") {
+		missingTargets.push(target);
+		console.error(`Terrain Ruler | Unable to wrap ${target}, because it doesn't exist. Some features of Terrain Ruler won't work.`);
+		return false;
+	}
+
+	if (useLibWrapper()) {
+		libWrapper.register("terrain-ruler", target, fn, type);
+		registeredWrappers.push({target});
+		return true;
+	}
+
+	const original = prototype[methodName];
+	const wrapper = function (...args) {
+		return fn.call(this, original.bind(this), ...args);
+	};
+	prototype[methodName] = wrapper;
+	registeredWrappers.push({target, prototype, methodName, wrapper});
+	return true;
+}
+
+// Verifies that all hook points exist and reports methods that have been replaced by other modules after we wrapped them.
+// Missing hook points are reported to the GM, since players can't do anything about them.
+export function verifyWrappers() {
+	const overwritten = registeredWrappers.filter(entry => entry.wrapper && entry.prototype[entry.methodName] !== entry.wrapper);
+	for (const entry of overwritten)
+		console.warn(`Terrain Ruler | ${entry.target} has been replaced by another module after Terrain Ruler wrapped it. If that module doesn't call the previous implementation, Terrain Ruler won't work correctly. Installing libWrapper may resolve this conflict.`);
+
+	if (game.user.isGM && missingTargets.length > 0)
+		ui.notifications.error(game.i18n.format("terrain-ruler.selfCheck.missing", {methods: missingTargets.join(", ")}));
+}
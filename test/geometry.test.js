@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import {describe, it} from "node:test";
+import {Arc, Circle, Line, Segment, calcDistance, toRad} from "../src/geometry.js";
+
+function assertPoints(actual, expected) {
+	const sort = points => points.map(({x, y}) => ({x, y})).sort((a, b) => a.x - b.x || a.y - b.y);
+	actual = sort(actual);
+	expected = sort(expected);
+	assert.equal(actual.length, expected.length, `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+	for (let i = 0;i < actual.length;i++) {
+		assert.ok(calcDistance(actual[i], expected[i]) < 0.000001, `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+	}
+}
+
+describe("Line", () => {
+	it("calculates both coordinates", () => {
+		const line = Line.fromPoints({x: 0, y: 1}, {x: 2, y: 5});
+		assert.equal(line.m, 2);
+		assert.equal(line.b, 1);
+		assert.equal(line.calcY(3), 7);
+		assert.equal(line.calcX(3), 1);
+		assert.equal(line.isVertical, false);
+	});
+
+	it("detects vertical lines", () => {
+		assert.equal(Line.fromPoints({x: 3, y: 0}, {x: 3, y: 5}).isVertical, true);
+	});
+
+	it("intersects with other lines", () => {
+		const a = Line.fromPoints({x: 0, y: 0}, {x: 1, y: 1});
+		const b = Line.fromPoints({x: 0, y: 4}, {x: 1, y: 3});
+		assertPoints(a.intersection(b), [{x: 2, y: 2}]);
+	});
+
+	it("intersects with vertical lines", () => {
+		const regular = Line.fromPoints({x: 0, y: 1}, {x: 1, y: 2});
+		const vertical = Line.fromPoints({x: 5, y: 0}, {x: 5, y: 1});
+		assertPoints(regular.intersection(vertical), [{x: 5, y: 6}]);
+		assertPoints(vertical.intersection(regular), [{x: 5, y: 6}]);
+	});
+
+	it("doesn't intersect parallel lines", () => {
+		assert.deepEqual(Line.fromPoints({x: 0, y: 0}, {x: 1, y: 1}).intersection(Line.fromPoints({x: 0, y: 1}, {x: 1, y: 2})), []);
+		assert.deepEqual(Line.fromPoints({x: 0, y: 0}, {x: 0, y: 1}).intersection(Line.fromPoints({x: 1, y: 0}, {x: 1, y: 1})), []);
+	});
+
+	it("creates perpendiculars", () => {
+		const perpendicular = Line.fromPoints({x: 0, y: 0}, {x: 1, y: 2}).getPerpendicularThroughPoint({x: 2, y: 0});
+		assert.equal(perpendicular.m, -0.5);
+		assert.equal(perpendicular.calcY(2), 0);
+	});
+});
+
+describe("Segment", () => {
+	it("intersects crossing segments", () => {
+		const a = Segment.fromPoints({x: 0, y: 0}, {x: 4, y: 4});
+		const b = Segment.fromPoints({x: 0, y: 4}, {x: 4, y: 0});
+		assertPoints(a.intersection(b), [{x: 2, y: 2}]);
+	});
+
+	it("ignores intersections beyond the end of the segments", () => {
+		const a = Segment.fromPoints({x: 0, y: 0}, {x: 1, y: 1});
+		const b = Segment.fromPoints({x: 0, y: 4}, {x: 4, y: 0});
+		assert.deepEqual(a.intersection(b), []);
+		assert.deepEqual(b.intersection(a), []);
+	});
+
+	it("counts touching endpoints as intersection", () => {
+		const a = Segment.fromPoints({x: 0, y: 0}, {x: 2, y: 2});
+		const b = Segment.fromPoints({x: 2, y: 2}, {x: 4, y: 0});
+		assertPoints(a.intersection(b), [{x: 2, y: 2}]);
+	});
+
+	it("intersects vertical and horizontal segments", () => {
+		const vertical = Segment.fromPoints({x: 2, y: 0}, {x: 2, y: 4});
+		const horizontal = Segment.fromPoints({x: 0, y: 3}, {x: 4, y: 3});
+		assertPoints(vertical.intersection(horizontal), [{x: 2, y: 3}]);
+		assertPoints(horizontal.intersection(vertical), [{x: 2, y: 3}]);
+		assert.deepEqual(Segment.fromPoints({x: 2, y: 0}, {x: 2, y: 2}).intersection(horizontal), []);
+		assert.deepEqual(Segment.fromPoints({x: 5, y: 0}, {x: 5, y: 4}).intersection(horizontal), []);
+	});
+
+	it("doesn't intersect overlapping segments", () => {
+		const a = Segment.fromPoints({x: 0, y: 0}, {x: 2, y: 2});
+		const b = Segment.fromPoints({x: 1, y: 1}, {x: 3, y: 3});
+		assert.deepEqual(a.intersection(b), []);
+	});
+});
+
+describe("Circle", () => {
+	const circle = new Circle({x: 0, y: 0}, 5);
+
+	it("finds both intersections of a segment passing through", () => {
+		assertPoints(circle.intersection(Segment.fromPoints({x: -10, y: 3}, {x: 10, y: 3})), [{x: -4, y: 3}, {x: 4, y: 3}]);
+		assertPoints(circle.intersection(Segment.fromPoints({x: -10, y: -10}, {x: 10, y: 10})), [{x: -Math.SQRT1_2 * 5, y: -Math.SQRT1_2 * 5}, {x: Math.SQRT1_2 * 5, y: Math.SQRT1_2 * 5}]);
+	});
+
+	it("finds intersections of vertical segments", () => {
+		assertPoints(circle.intersection(Segment.fromPoints({x: 3, y: -10}, {x: 3, y: 10})), [{x: 3, y: -4}, {x: 3, y: 4}]);
+		assertPoints(circle.intersection(Segment.fromPoints({x: 0, y: 0}, {x: 0, y: 10})), [{x: 0, y: 5}]);
+	});
+
+	it("only returns intersections on the segment", () => {
+		assertPoints(circle.intersection(Segment.fromPoints({x: 0, y: 3}, {x: 10, y: 3})), [{x: 4, y: 3}]);
+		assert.deepEqual(circle.intersection(Segment.fromPoints({x: -1, y: 1}, {x: 1, y: 1})), []);
+		assert.deepEqual(circle.intersection(Segment.fromPoints({x: 6, y: 0}, {x: 10, y: 1})), []);
+	});
+
+	it("reports tangents as a single intersection", () => {
+		assertPoints(circle.intersection(Segment.fromPoints({x: -10, y: 5}, {x: 10, y: 5})), [{x: 0, y: 5}]);
+		assertPoints(circle.intersection(Segment.fromPoints({x: 5, y: -10}, {x: 5, y: 10})), [{x: 5, y: 0}]);
+	});
+
+	it("misses segments outside of the circle", () => {
+		assert.deepEqual(circle.intersection(Segment.fromPoints({x: -10, y: 5.01}, {x: 10, y: 5.01})), []);
+	});
+});
+
+describe("Arc", () => {
+	// The direction of an arc points towards its center, so this arc covers the half of the circle that lies right of the center
+	const arc = new Arc({x: 0, y: 0}, 5, toRad(180), toRad(180));
+
+	it("only returns intersections on the arc", () => {
+		assertPoints(arc.intersection(Segment.fromPoints({x: -10, y: 3}, {x: 10, y: 3})), [{x: 4, y: 3}]);
+		assertPoints(arc.intersection(Segment.fromPoints({x: 3, y: -10}, {x: 3, y: 10})), [{x: 3, y: -4}, {x: 3, y: 4}]);
+		assert.deepEqual(arc.intersection(Segment.fromPoints({x: -3, y: -10}, {x: -3, y: 10})), []);
+	});
+
+	it("handles arcs that cross the start of the angle range", () => {
+		// Covers the quarter of the circle left of the center, from -45° to 45°
+		const wrapping = new Arc({x: 0, y: 0}, 5, toRad(0), toRad(90));
+		assertPoints(wrapping.intersection(Segment.fromPoints({x: -4, y: -10}, {x: -4, y: 10})), [{x: -4, y: -3}, {x: -4, y: 3}]);
+		assert.deepEqual(wrapping.intersection(Segment.fromPoints({x: -3, y: -10}, {x: -3, y: 10})), []);
+	});
+});
@@ -0,0 +1,170 @@
+import {registerCostProvider, getCombinedCost} from "../../src/cost_providers.js";
+import {invalidateCache} from "../../src/cache.js";
+import {registerDefaultDiagonalRules} from "../../src/diagonal_rules.js";
+import {measureDistances} from "../../src/measure.js";
+import {registerDefaultMovementModes} from "../../src/movement_modes.js";
+import {registerDefaultRoundingPolicies} from "../../src/rounding.js";
+
+// Stand-ins for the parts of Foundry VTT the measurement code relies on, so it can be run by Node without a browser.
+// None of the modules in src access these globals while they're being loaded, so they only have to exist once the tests run.
+
+globalThis.CONST = {GRID_TYPES: {GRIDLESS: 0, SQUARE: 1, HEXODDR: 2, HEXEVENR: 3, HEXODDQ: 4, HEXEVENQ: 5}};
+globalThis.CONFIG = {debug: {}};
+
+// World settings of the module that the tests changed. All other settings are unset.
+const settings = new Map();
+globalThis.game = {
+	system: {id: "test"},
+	user: {isGM: true},
+	modules: new Map(),
+	settings: {get: (module, key) => settings.get(key)},
+	i18n: {localize: key => key, format: key => key},
+};
+
+globalThis.Hooks = {
+	events: {},
+	on(hook, fn) {
+		(this.events[hook] ??= []).push(fn);
+	},
+	off(hook, fn) {
+		this.events[hook] = (this.events[hook] ?? []).filter(handler => handler !== fn);
+	},
+	call(hook, ...args) {
+		return (this.events[hook] ?? []).every(fn => fn(...args) !== false);
+	},
+	callAll(hook, ...args) {
+		for (const fn of this.events[hook] ?? [])
+			fn(...args);
+		return true;
+	},
+};
+
+globalThis.Ray = class Ray {
+	constructor(A, B) {
+		this.A = A;
+		this.B = B;
+		this.dx = B.x - A.x;
+		this.dy = B.y - A.y;
+		this.distance = Math.hypot(this.dx, this.dy);
+	}
+
+	project(t) {
+		return {x: this.A.x + this.dx * t, y: this.A.y + this.dy * t};
+	}
+};
+
+globalThis.terrainRuler = {getCost: getCombinedCost};
+
+// The terrain of the current scene. On grids it's a cost grid (indexed by row, then column), on gridless scenes a list of
+// regions with their cost. Spaces and points without terrain cost 1.
+let costGrid = [];
+let costRegions = [];
+registerCostProvider("test", (x, y) => {
+	if (canvas.grid.type !== CONST.GRID_TYPES.GRIDLESS)
+		return costGrid[y]?.[x];
+	const costs = costRegions.filter(({region}) => region.contains({x, y})).map(({cost}) => cost);
+	return costs.length > 0 ? Math.max(...costs) : undefined;
+}, {getRegions: () => costRegions.map(({region}) => region)});
+
+registerDefaultDiagonalRules();
+registerDefaultMovementModes();
+registerDefaultRoundingPolicies();
+
+export function setSetting(key, value) {
+	settings.set(key, value);
+	invalidateCache();
+}
+
+function createCanvas(type, size, grid) {
+	invalidateCache();
+	globalThis.canvas = {
+		dimensions: {size, distance: 5, width: size * 40, height: size * 40},
+		grid: {type, w: size, h: size, isHex: type > CONST.GRID_TYPES.SQUARE, ...grid},
+		scene: null,
+		terrain: null,
+		templates: {placeables: []},
+		drawings: {placeables: []},
+		tiles: {placeables: []},
+		walls: {placeables: []},
+	};
+}
+
+// A square grid. `diagonalRule` is the core setting of Foundry ("555", "5105" or "EUCL").
+export function useSquareGrid({size=100, diagonalRule="555", costs=[]}={}) {
+	costGrid = costs;
+	createCanvas(CONST.GRID_TYPES.SQUARE, size, {
+		diagonalRule,
+		grid: {
+			// Like Foundry, the grid returns positions as [row, column]
+			getGridPositionFromPixels: (x, y) => [Math.floor(y / size), Math.floor(x / size)],
+			getPixelsFromGridPosition: (row, column) => [column * size, row * size],
+		},
+	});
+}
+
+// A hex grid with every second row (or column) shifted by half a hex. `even` shifts the even rows instead of the odd ones.
+export function useHexGrid({size=100, columns=false, even=false, costs=[]}={}) {
+	costGrid = costs;
+	const shift = n => (n & 1) ? (even ? -0.5 : 0.5) : 0;
+	// The center of the hex in pixels
+	const getCenter = (row, column) => {
+		if (columns)
+			return [column * size * 0.75 + size / 2, (row + shift(column)) * size + size / 2];
+		return [(column + shift(row)) * size + size / 2, row * size * 0.75 + size / 2];
+	};
+	const type = columns ? (even ? CONST.GRID_TYPES.HEXEVENQ : CONST.GRID_TYPES.HEXODDQ) : (even ? CONST.GRID_TYPES.HEXEVENR : CONST.GRID_TYPES.HEXODDR);
+	createCanvas(type, size, {
+		grid: {
+			columns,
+			options: {even},
+			getPixelsFromGridPosition: (row, column) => getCenter(row, column).map(value => value - size / 2),
+			// The hex containing the point is the one with the closest center, which is among the neighbors of the approximate position
+			getGridPositionFromPixels: (x, y) => {
+				const row = Math.floor(columns ? y / size : y / (size * 0.75));
+				const column = Math.floor(columns ? x / (size * 0.75) : x / size);
+				let closest = null;
+				let closestDistance = Infinity;
+				for (let r = row - 1;r <= row + 1;r++) {
+					for (let c = column - 1;c <= column + 1;c++) {
+						const [centerX, centerY] = getCenter(r, c);
+						const distance = Math.hypot(centerX - x, centerY - y);
+						if (distance < closestDistance) {
+							closest = [r, c];
+							closestDistance = distance;
+						}
+					}
+				}
+				return closest;
+			},
+		},
+	});
+}
+
+// A gridless scene. `regions` is a list of {region, cost}, where the regions are created by the functions in regions.js.
+export function useGridless({size=100, regions=[]}={}) {
+	costRegions = regions;
+	createCanvas(CONST.GRID_TYPES.GRIDLESS, size, {grid: {}});
+}
+
+// Returns the center (in pixels) of a space given as grid position ({x: column, y: row})
+export function center(x, y) {
+	const [pixelX, pixelY] = canvas.grid.grid.getPixelsFromGridPosition(y, x);
+	return {x: pixelX + canvas.grid.w / 2, y: pixelY + canvas.grid.h / 2};
+}
+
+// Measures a path through the given points (in pixels) and returns the distances along with the rays they were measured with.
+// Points may carry an `elevation`, which becomes the elevation at the start and end of the adjacent segments.
+export function measurePath(points, options={}) {
+	const segments = [];
+	for (let i = 1;i < points.length;i++) {
+		const [A, B] = [points[i - 1], points[i]];
+		segments.push({ray: new Ray({x: A.x, y: A.y}, {x: B.x, y: B.y}), startElevation: A.elevation, endElevation: B.elevation});
+	}
+	const distances = measureDistances(segments, options);
+	return {distances, rays: segments.map(segment => segment.ray)};
+}
+
+// Reduces the visited spaces of a ray to their grid positions
+export function visitedPositions(ray) {
+	return ray.terrainRulerVisitedSpaces.map(space => [space.x, space.y]);
+}
@@ -0,0 +1,88 @@
+import {measurePath, useGridless} from "./helpers/stubs.js";
+import assert from "node:assert/strict";
+import {describe, it} from "node:test";
+import {createCircleRegion, createConeRegion, createPolygonRegion, createRectangleRegion} from "../src/regions.js";
+
+function assertClose(actual, expected) {
+	assert.ok(Math.abs(actual - expected) < 0.000001, `expected ${expected}, got ${actual}`);
+}
+
+// Reduces the sub segments of a ray to the x coordinates where they start and end and their cost
+function pieces(ray) {
+	return ray.terrainRulerSubSegments.map(piece => [Math.round(piece.A.x * 1000) / 1000, Math.round(piece.B.x * 1000) / 1000, piece.cost]);
+}
+
+describe("measureDistancesGridless", () => {
+	it("measures the length of the ray without terrain", () => {
+		useGridless();
+		const {distances, rays: [ray]} = measurePath([{x: 100, y: 100}, {x: 400, y: 500}]);
+		assert.deepEqual(distances, [25]);
+		assert.deepEqual(ray.terrainRulerBreakdown, {plain: 25, terrain: 0, diagonals: 0, edges: 0, vertical: 0, rounding: 0});
+	});
+
+	it("splits the ray at the edges of polygons", () => {
+		useGridless({regions: [{region: createRectangleRegion("rectangle", 200, 100, 300, 100), cost: 2}]});
+		const {distances, rays: [ray]} = measurePath([{x: 0, y: 150}, {x: 1000, y: 150}]);
+		assert.deepEqual(distances, [65]);
+		assert.deepEqual(pieces(ray), [[0, 200, 1], [200, 500, 2], [500, 1000, 1]]);
+		assert.deepEqual(ray.terrainRulerSubSegments.map(piece => piece.distance), [10, 40, 65]);
+		assert.deepEqual(ray.terrainRulerSubSegments[1].regions, ["rectangle"]);
+		assert.deepEqual(ray.terrainRulerBreakdown, {plain: 50, terrain: 15, diagonals: 0, edges: 0, vertical: 0, rounding: 0});
+	});
+
+	it("uses the most expensive of overlapping regions", () => {
+		useGridless({regions: [
+			{region: createRectangleRegion("a", 200, 100, 400, 100), cost: 2},
+			{region: createRectangleRegion("b", 400, 100, 400, 100), cost: 3},
+		]});
+		const {distances, rays: [ray]} = measurePath([{x: 0, y: 150}, {x: 1000, y: 150}]);
+		assert.deepEqual(pieces(ray), [[0, 200, 1], [200, 400, 2], [400, 600, 3], [600, 800, 3], [800, 1000, 1]]);
+		assert.deepEqual(ray.terrainRulerSubSegments[2].regions, ["a", "b"]);
+		assert.deepEqual(distances, [100]);
+	});
+
+	it("leaves out the holes of polygons", () => {
+		const ring = (x, y, size) => [x, y, x + size, y, x + size, y + size, x, y + size];
+		useGridless({regions: [{region: createPolygonRegion("donut", [ring(200, 0, 600), ring(400, 200, 200)]), cost: 2}]});
+		const {distances, rays: [ray]} = measurePath([{x: 0, y: 300}, {x: 1000, y: 300}]);
+		assert.deepEqual(pieces(ray), [[0, 200, 1], [200, 400, 2], [400, 600, 1], [600, 800, 2], [800, 1000, 1]]);
+		assert.deepEqual(distances, [70]);
+	});
+
+	it("splits the ray where it passes through a circle", () => {
+		useGridless({regions: [{region: createCircleRegion("circle", {x: 500, y: 300}, 100), cost: 2}]});
+		const {distances, rays: [ray]} = measurePath([{x: 0, y: 300}, {x: 1000, y: 300}]);
+		assert.deepEqual(pieces(ray), [[0, 400, 1], [400, 600, 2], [600, 1000, 1]]);
+		assertClose(distances[0], 60);
+	});
+
+	it("doesn't charge rays that touch a circle tangentially", () => {
+		useGridless({regions: [{region: createCircleRegion("circle", {x: 500, y: 300}, 100), cost: 2}]});
+		const {distances, rays: [ray]} = measurePath([{x: 0, y: 200}, {x: 1000, y: 200}]);
+		assert.deepEqual(pieces(ray), [[0, 1000, 1]]);
+		assert.deepEqual(distances, [50]);
+	});
+
+	it("splits the ray at the edges of cones", () => {
+		// A cone with its tip at (200, 500) that opens towards the right by 45° in both directions
+		useGridless({regions: [{region: createConeRegion("cone", {x: 200, y: 500}, 400, Math.PI, Math.PI / 2), cost: 2}]});
+		const {distances, rays: [ray]} = measurePath([{x: 0, y: 400}, {x: 1000, y: 400}]);
+		const exit = 200 + Math.sqrt(400 * 400 - 100 * 100);
+		assert.deepEqual(pieces(ray), [[0, 300, 1], [300, Math.round(exit * 1000) / 1000, 2], [Math.round(exit * 1000) / 1000, 1000, 1]]);
+		assertClose(distances[0], 50 + (exit - 300) / 100 * 5);
+	});
+
+	it("adds vertical movement according to the pythagorean theorem", () => {
+		useGridless();
+		const {distances, rays: [ray]} = measurePath([{x: 0, y: 0, elevation: 0}, {x: 400, y: 0, elevation: 15}]);
+		assertClose(distances[0], 25);
+		assertClose(ray.terrainRulerBreakdown.vertical, 5);
+	});
+
+	it("charges the cost of crossing edges in full spaces", () => {
+		useGridless();
+		const {distances, rays: [ray]} = measurePath([{x: 0, y: 0}, {x: 400, y: 0}], {edgeCost: () => 2});
+		assert.deepEqual(distances, [30]);
+		assert.equal(ray.terrainRulerBreakdown.edges, 10);
+	});
+});
@@ -0,0 +1,80 @@
+import {center, measurePath, setSetting, useHexGrid, visitedPositions} from "./helpers/stubs.js";
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {afterEach, describe, it} from "node:test";
+import {getHexLine, hexDistance} from "../src/hex.js";
+
+const rays = JSON.parse(readFileSync(new URL("./fixtures/hex_rays.json", import.meta.url)));
+
+const GRIDS = {
+	"odd rows": {},
+	"even rows": {even: true},
+	"odd columns": {columns: true},
+	"even columns": {columns: true, even: true},
+};
+
+describe("getHexLine", () => {
+	for (const [name, grid] of Object.entries(GRIDS)) {
+		it(`walks from hex to neighboring hex on ${name}`, () => {
+			useHexGrid(grid);
+			for (let startX = 0;startX < 6;startX++) {
+				for (let startY = 0;startY < 6;startY++) {
+					const start = {x: startX, y: startY};
+					const end = {x: 8 - startY, y: 3 + startX};
+					const line = getHexLine(start, end);
+					assert.deepEqual(line[0], start);
+					assert.deepEqual(line[line.length - 1], end);
+					assert.equal(line.length, hexDistance(start, end) + 1);
+					for (let i = 1;i < line.length;i++)
+						assert.equal(hexDistance(line[i - 1], line[i]), 1);
+					// The line visits the same hexes in both directions
+					assert.deepEqual(getHexLine(end, start).reverse(), line);
+				}
+			}
+		});
+	}
+});
+
+describe("measureDistancesHex", () => {
+	afterEach(() => setSetting("diagonalRule", undefined));
+
+	for (const fixture of rays) {
+		it(`visits the hexes along a ${fixture.name} ray on ${fixture.grid}`, () => {
+			useHexGrid(GRIDS[fixture.grid]);
+			const {distances, rays: [ray]} = measurePath([fixture.from, fixture.to]);
+			assert.deepEqual(visitedPositions(ray), fixture.visited);
+			assert.equal(distances[0], fixture.distance);
+		});
+	}
+
+	it("multiplies the distance of each hex with its cost", () => {
+		useHexGrid({costs: [
+			[],
+			[],
+			[1, 1, 2, 3, 1],
+		]});
+		const {distances, rays: [ray]} = measurePath([center(0, 2), center(4, 2)]);
+		assert.deepEqual(distances, [35]);
+		assert.deepEqual(ray.terrainRulerVisitedSpaces.map(space => [space.x, space.y, space.cost]), [[0, 2, 0], [1, 2, 1], [2, 2, 2], [3, 2, 3], [4, 2, 1]]);
+		assert.deepEqual(ray.terrainRulerBreakdown, {plain: 20, terrain: 15, diagonals: 0, edges: 0, vertical: 0, rounding: 0});
+	});
+
+	it("combines vertical movement with the walked hexes according to the diagonal rule", () => {
+		useHexGrid();
+		const points = [{...center(0, 2), elevation: 0}, {...center(4, 2), elevation: 10}];
+		// The vertical movement is covered by diagonal steps that count as regular steps
+		assert.deepEqual(measurePath(points, {diagonalRule: "555"}).distances, [20]);
+		// The first diagonal step costs 5 ft, the second one 10 ft
+		assert.deepEqual(measurePath(points, {diagonalRule: "5105"}).distances, [25]);
+		const [euclidean] = measurePath(points, {diagonalRule: "euclidean"}).distances;
+		assert.ok(Math.abs(euclidean - Math.hypot(4, 2) * 5) < 0.000001);
+	});
+
+	it("charges the cost of crossing edges", () => {
+		useHexGrid();
+		const edgeCost = (from, to) => from.x === 1 && to.x === 2 ? 1 : 0;
+		const {distances, rays: [ray]} = measurePath([center(0, 2), center(4, 2)], {edgeCost});
+		assert.deepEqual(distances, [25]);
+		assert.equal(ray.terrainRulerBreakdown.edges, 5);
+	});
+});
@@ -0,0 +1,111 @@
+import {center, measurePath, setSetting, useSquareGrid, visitedPositions} from "./helpers/stubs.js";
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {afterEach, describe, it} from "node:test";
+
+const rays = JSON.parse(readFileSync(new URL("./fixtures/square_rays.json", import.meta.url)));
+
+describe("measureDistancesSquare", () => {
+	afterEach(() => setSetting("diagonalRule", undefined));
+
+	for (const fixture of rays) {
+		it(`visits the spaces along a ${fixture.name} ray`, () => {
+			useSquareGrid();
+			const {distances, rays: [ray]} = measurePath([fixture.from, fixture.to]);
+			assert.deepEqual(visitedPositions(ray), fixture.visited);
+			assert.equal(distances[0], fixture.distance);
+			// Every step leads into a neighboring space
+			for (let i = 1;i < fixture.visited.length;i++) {
+				const [previous, space] = [fixture.visited[i - 1], fixture.visited[i]];
+				assert.equal(Math.max(Math.abs(space[0] - previous[0]), Math.abs(space[1] - previous[1])), 1);
+			}
+		});
+	}
+
+	it("multiplies the distance of each space with its cost", () => {
+		useSquareGrid({costs: [
+			[1, 1, 1, 1, 1],
+			[1, 2, 3, 1, 1],
+		]});
+		const {distances, rays: [ray]} = measurePath([center(0, 1), center(4, 1)]);
+		assert.equal(distances[0], 35);
+		assert.deepEqual(ray.terrainRulerVisitedSpaces.map(space => [space.cost, space.distance]), [[0, 0], [2, 10], [3, 25], [1, 30], [1, 35]]);
+		assert.deepEqual(ray.terrainRulerBreakdown, {plain: 20, terrain: 15, diagonals: 0, edges: 0, vertical: 0, rounding: 0});
+	});
+
+	it("ignores the cost of the starting space", () => {
+		useSquareGrid({costs: [[4, 1, 1]]});
+		assert.deepEqual(measurePath([center(0, 0), center(2, 0)]).distances, [10]);
+	});
+
+	it("counts every second diagonal double with the 5/10/5 rule", () => {
+		useSquareGrid({diagonalRule: "5105"});
+		assert.deepEqual(measurePath([center(0, 0), center(4, 4)]).distances, [30]);
+		assert.deepEqual(measurePath([center(0, 0), center(5, 5)]).distances, [35]);
+		const {rays: [ray]} = measurePath([center(0, 0), center(3, 3)]);
+		assert.deepEqual(ray.terrainRulerBreakdown, {plain: 15, terrain: 0, diagonals: 5, edges: 0, vertical: 0, rounding: 0});
+	});
+
+	it("carries the remainder of the 5/10/5 rule over to the next segment", () => {
+		useSquareGrid({diagonalRule: "5105"});
+		const {distances, rays} = measurePath([center(0, 0), center(1, 1), center(2, 2), center(3, 3)]);
+		assert.deepEqual(distances, [5, 10, 5]);
+		assert.deepEqual(rays.map(ray => ray.terrainRulerFinalState), [{noDiagonals: 1}, {noDiagonals: 0}, {noDiagonals: 1}]);
+
+		// Measurements can be continued from where a previous one stopped
+		const {distances: continued} = measurePath([center(3, 3), center(4, 4)], {terrainRulerInitialState: rays[2].terrainRulerFinalState});
+		assert.deepEqual(continued, [10]);
+	});
+
+	it("counts difficult terrain towards the remainder of the 5/10/5 rule", () => {
+		useSquareGrid({diagonalRule: "5105", costs: [
+			[1, 1, 1, 1],
+			[1, 2, 1, 1],
+		]});
+		const {distances, rays: [ray]} = measurePath([center(0, 0), center(3, 3)]);
+		// The difficult diagonal counts as two diagonals, so the next diagonal is a first one again
+		assert.deepEqual(distances, [30]);
+		assert.deepEqual(ray.terrainRulerVisitedSpaces.map(space => space.distance), [0, 15, 20, 30]);
+		assert.deepEqual(ray.terrainRulerBreakdown, {plain: 15, terrain: 10, diagonals: 5, edges: 0, vertical: 0, rounding: 0});
+	});
+
+	it("uses the diagonal rule of the options, the world setting or the grid", () => {
+		useSquareGrid({diagonalRule: "EUCL"});
+		const [euclidean] = measurePath([center(0, 0), center(2, 2)]).distances;
+		assert.ok(Math.abs(euclidean - 10 * Math.SQRT2) < 0.000001);
+		setSetting("diagonalRule", "101010");
+		assert.deepEqual(measurePath([center(0, 0), center(2, 2)]).distances, [20]);
+		assert.deepEqual(measurePath([center(0, 0), center(2, 2)], {diagonalRule: "555"}).distances, [10]);
+	});
+
+	it("adds vertical movement according to the diagonal rule", () => {
+		useSquareGrid({diagonalRule: "5105"});
+		const {distances, rays: [ray]} = measurePath([{...center(0, 0), elevation: 0}, {...center(2, 0), elevation: 20}]);
+		// Two horizontal steps and four vertical steps, of which two are combined into diagonals (5 + 10)
+		assert.deepEqual(distances, [25]);
+		assert.equal(ray.terrainRulerBreakdown.vertical, 15);
+	});
+
+	it("charges the cost of crossing edges", () => {
+		useSquareGrid();
+		const edgeCost = (from, to) => from.x === 1 && to.x === 2 ? 2 : 0;
+		const {distances, rays: [ray]} = measurePath([center(0, 0), center(3, 0)], {edgeCost});
+		assert.deepEqual(distances, [25]);
+		assert.equal(ray.terrainRulerBreakdown.edges, 10);
+		assert.equal(ray.terrainRulerBlocked, false);
+
+		const blocked = measurePath([center(0, 0), center(3, 0)], {edgeCost: () => Infinity});
+		assert.equal(blocked.rays[0].terrainRulerBlocked, true);
+	});
+
+	it("charges the terrain edges stored in the scene", () => {
+		useSquareGrid();
+		// Like flags, the edges only keep what survives being serialized as JSON
+		const edges = JSON.parse(JSON.stringify([{c: [200, 0, 200, 100], cost: 2}, {c: [300, 100, 300, 200], blocked: true}]));
+		canvas.scene = {getFlag: (scope, key) => key === "edges" ? edges : undefined};
+		const {distances, rays: [ray]} = measurePath([center(0, 0), center(3, 0)]);
+		assert.deepEqual(distances, [25]);
+		assert.equal(ray.terrainRulerBlocked, false);
+		assert.equal(measurePath([center(0, 1), center(3, 1)]).rays[0].terrainRulerBlocked, true);
+	});
+});
@@ -0,0 +1,91 @@
+import {center, measurePath, useGridless, useHexGrid, useSquareGrid} from "./helpers/stubs.js";
+import assert from "node:assert/strict";
+import {describe, it} from "node:test";
+import {findPath} from "../src/pathfinding.js";
+import {createRectangleRegion} from "../src/regions.js";
+
+// The whole column in the middle is difficult terrain, apart from the space at the bottom
+const WALL = [
+	[1, 1, 5, 1, 1],
+	[1, 1, 5, 1, 1],
+	[1, 1, 1, 1, 1],
+];
+
+function sumBreakdown(breakdown) {
+	return Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+}
+
+describe("findPath", () => {
+	it("walks around difficult terrain on square grids", () => {
+		useSquareGrid({costs: WALL});
+		const path = findPath(center(0, 0), center(4, 0), {diagonalRule: "555"});
+		assert.equal(path.distance, 20);
+		assert.deepEqual(path.terrainRulerVisitedSpaces.map(space => [space.x, space.y]), [[0, 0], [1, 1], [2, 2], [3, 1], [4, 0]]);
+		assert.deepEqual(path.waypoints, [center(0, 0), center(2, 2), center(4, 0)]);
+		assert.deepEqual(path.terrainRulerBreakdown, {plain: 20, terrain: 0, diagonals: 0, edges: 0, vertical: 0, rounding: 0});
+	});
+
+	it("takes the diagonal rule into account", () => {
+		useSquareGrid({costs: WALL});
+		const path = findPath(center(0, 0), center(4, 0), {diagonalRule: "5105"});
+		assert.equal(path.distance, 30);
+		assert.deepEqual(path.terrainRulerFinalState, {noDiagonals: 0});
+		assert.deepEqual(path.terrainRulerBreakdown, {plain: 20, terrain: 0, diagonals: 10, edges: 0, vertical: 0, rounding: 0});
+
+		// If diagonals are expensive enough, going through the difficult terrain is cheaper
+		assert.equal(findPath(center(0, 0), center(4, 0), {diagonalRule: "manhattan"}).distance, 40);
+	});
+
+	it("charges the cost of crossing edges", () => {
+		useSquareGrid();
+		// Crossing the line between the first and second row costs two spaces, except at the right end
+		const edgeCost = (from, to) => from.y !== to.y && from.x < 4 && to.x < 4 ? 2 : 0;
+		const path = findPath(center(0, 0), center(0, 1), {diagonalRule: "555", edgeCost});
+		assert.equal(path.distance, 15);
+		assert.equal(sumBreakdown(path.terrainRulerBreakdown), 15);
+		assert.equal(path.terrainRulerBreakdown.edges, 10);
+	});
+
+	it("returns null if the goal can't be reached", () => {
+		useSquareGrid();
+		assert.equal(findPath(center(0, 0), center(3, 0), {edgeCost: () => Infinity}), null);
+	});
+
+	it("walks around difficult terrain on hex grids", () => {
+		useHexGrid({costs: [
+			[],
+			[1, 1, 5, 1, 1],
+			[1, 1, 5, 1, 1],
+			[1, 1, 5, 1, 1],
+		]});
+		const path = findPath(center(0, 2), center(4, 2));
+		assert.equal(path.distance, 30);
+		assert.ok(path.terrainRulerVisitedSpaces.every(space => space.cost <= 1));
+		assert.equal(sumBreakdown(path.terrainRulerBreakdown), 30);
+	});
+
+	it("walks around difficult terrain on gridless scenes", () => {
+		useGridless({regions: [{region: createRectangleRegion("swamp", 400, 0, 200, 1000), cost: 5}]});
+		const straight = measurePath([{x: 100, y: 900}, {x: 900, y: 900}]).distances[0];
+		const path = findPath({x: 100, y: 900}, {x: 900, y: 900});
+		assert.ok(path.distance < straight, `expected less than ${straight}, got ${path.distance}`);
+		assert.ok(Math.abs(sumBreakdown(path.terrainRulerBreakdown) - path.distance) < 0.000001);
+	});
+
+	it("is used by measureDistances if requested", () => {
+		useSquareGrid({costs: WALL});
+		const {distances, rays: [ray]} = measurePath([center(0, 0), center(4, 0)], {findPath: true, diagonalRule: "555"});
+		assert.deepEqual(distances, [20]);
+		assert.deepEqual(ray.terrainRulerPath, [center(0, 0), center(2, 2), center(4, 0)]);
+		assert.equal(ray.terrainRulerBreakdown.plain, 20);
+	});
+
+	it("warns if the search gives up", t => {
+		useSquareGrid();
+		const warn = t.mock.method(console, "warn", () => {});
+		assert.equal(findPath(center(0, 0), center(20, 0), {maxNodes: 10}), null);
+		assert.equal(warn.mock.callCount(), 1);
+		assert.equal(findPath(center(0, 0), center(20, 0)).distance, 100);
+		assert.equal(warn.mock.callCount(), 1);
+	});
+});
@@ -0,0 +1,34 @@
+import {center, useSquareGrid} from "./helpers/stubs.js";
+import assert from "node:assert/strict";
+import {describe, it} from "node:test";
+import {getReachableSpaces} from "../src/reachable.js";
+
+describe("getReachableSpaces", () => {
+	it("reaches every space within the budget", () => {
+		useSquareGrid();
+		const spaces = getReachableSpaces(center(5, 5), 10);
+		assert.equal(spaces.length, 25);
+		assert.equal(spaces.truncated, false);
+		assert.equal(Math.max(...spaces.map(space => space.distance)), 10);
+	});
+
+	it("searches large budgets completely by default", t => {
+		useSquareGrid();
+		canvas.dimensions.width = canvas.dimensions.height = 200 * canvas.dimensions.size;
+		const warn = t.mock.method(console, "warn", () => {});
+		// 60 spaces in every direction are more spaces than the search used to expand at most
+		const spaces = getReachableSpaces(center(100, 100), 300);
+		assert.equal(spaces.length, 121 * 121);
+		assert.equal(spaces.truncated, false);
+		assert.equal(warn.mock.callCount(), 0);
+	});
+
+	it("reports when the search has been cut short", t => {
+		useSquareGrid();
+		const warn = t.mock.method(console, "warn", () => {});
+		const spaces = getReachableSpaces(center(20, 20), 100, {maxNodes: 100});
+		assert.equal(spaces.truncated, true);
+		assert.ok(spaces.length < 41 * 41);
+		assert.equal(warn.mock.callCount(), 1);
+	});
+});
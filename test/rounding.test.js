@@ -0,0 +1,62 @@
+import {center, measurePath, setSetting, useGridless, useSquareGrid} from "./helpers/stubs.js";
+import assert from "node:assert/strict";
+import {afterEach, describe, it} from "node:test";
+import {getRoundingPolicy, registerRoundingPolicy} from "../src/rounding.js";
+
+// Both segments step into a space with a cost of 1.5, so each of them is 7.5 ft long without rounding
+function measureDifficultSpaces(options) {
+	useSquareGrid({costs: [[1, 1.5, 1.5]]});
+	return measurePath([center(0, 0), center(1, 0), center(2, 0)], options);
+}
+
+describe("roundDistances", () => {
+	afterEach(() => {
+		setSetting("rounding", undefined);
+		game.system.id = "test";
+	});
+
+	it("doesn't round by default", () => {
+		assert.deepEqual(measureDifficultSpaces().distances, [7.5, 7.5]);
+	});
+
+	it("rounds up the distance of every space", () => {
+		const {distances, rays} = measureDifficultSpaces({rounding: "ceilSpace"});
+		assert.deepEqual(distances, [10, 10]);
+		assert.deepEqual(rays[0].terrainRulerVisitedSpaces.map(space => space.distance), [0, 10]);
+		assert.equal(rays[0].terrainRulerBreakdown.rounding, 2.5);
+	});
+
+	it("rounds the distance of every segment", () => {
+		useSquareGrid({costs: [[1, 1.5, 1.2, 1]]});
+		const {distances, rays: [ray]} = measurePath([center(0, 0), center(3, 0)], {rounding: "roundSegment"});
+		// 7.5 + 6 + 5 ft are rounded as a whole, instead of space by space
+		assert.deepEqual(distances, [20]);
+		assert.deepEqual(ray.terrainRulerVisitedSpaces.map(space => space.distance), [0, 10, 15, 20]);
+	});
+
+	it("rounds the total distance, so rounding errors don't add up", () => {
+		const {distances, rays} = measureDifficultSpaces({rounding: "roundTotal"});
+		assert.deepEqual(distances, [10, 5]);
+		assert.deepEqual(rays.map(ray => ray.terrainRulerBreakdown.rounding), [2.5, -2.5]);
+	});
+
+	it("rounds segments on gridless scenes", () => {
+		useGridless();
+		assert.deepEqual(measurePath([{x: 0, y: 0}, {x: 130, y: 0}], {rounding: "ceilSpace"}).distances, [10]);
+		assert.deepEqual(measurePath([{x: 0, y: 0}, {x: 130, y: 0}], {rounding: "roundSegment"}).distances, [5]);
+	});
+
+	it("uses the policy of the options, the world setting or the game system", () => {
+		assert.equal(getRoundingPolicy().id, "none");
+		game.system.id = "dnd5e";
+		assert.equal(getRoundingPolicy().id, "roundTotal");
+		setSetting("rounding", "ceilSpace");
+		assert.equal(getRoundingPolicy().id, "ceilSpace");
+		assert.equal(getRoundingPolicy({rounding: "roundSegment"}).id, "roundSegment");
+	});
+
+	it("rejects invalid policies", () => {
+		assert.throws(() => registerRoundingPolicy("invalid", {scope: "everything", round: Math.round}));
+		assert.throws(() => registerRoundingPolicy("invalid", {scope: "total"}));
+	});
+});
@@ -0,0 +1,78 @@
+import {useSquareGrid} from "./helpers/stubs.js";
+import assert from "node:assert/strict";
+import {afterEach, describe, it} from "node:test";
+import {getCostEnhancedTerrainlayer} from "../src/measure.js";
+
+// A rectangle of terrain or a template covering the given spaces
+function createPlaceable(x, y, width, height, {multiple=2, environment, hidden=false}={}) {
+	const size = canvas.dimensions.size;
+	return {
+		data: {x: x * size, y: y * size, multiple, hidden},
+		environment,
+		shape: {contains: (px, py) => px >= 0 && py >= 0 && px < width * size && py < height * size},
+	};
+}
+
+// Like the layer of Enhanced Terrain Layer, the placeables are provided by a getter and templates are read from their own layer
+class TerrainLayer {
+	constructor(objects) {
+		this.objects = objects;
+	}
+
+	get placeables() {
+		return this.objects;
+	}
+
+	cost({x, y}, options={}) {
+		const [px, py] = [x * canvas.grid.w + canvas.grid.w / 2, y * canvas.grid.h + canvas.grid.h / 2];
+		let cost = 1;
+		for (const placeable of this.placeables.concat(canvas.templates.placeables)) {
+			if (options.ignore?.includes(placeable.environment))
+				continue;
+			if (placeable.shape.contains(px - placeable.data.x, py - placeable.data.y))
+				cost = Math.max(cost, placeable.data.multiple);
+		}
+		return cost;
+	}
+}
+
+describe("getCostEnhancedTerrainlayer", () => {
+	afterEach(() => game.user.isGM = true);
+
+	it("leaves out hidden terrain for players", () => {
+		useSquareGrid();
+		canvas.terrain = new TerrainLayer([
+			createPlaceable(0, 0, 2, 1, {multiple: 3, hidden: true}),
+			createPlaceable(1, 0, 2, 1, {multiple: 2}),
+		]);
+		canvas.templates.placeables = [createPlaceable(3, 0, 1, 1, {multiple: 4})];
+		game.user.isGM = false;
+		assert.deepEqual([0, 1, 2, 3].map(x => getCostEnhancedTerrainlayer(x, 0)), [1, 2, 2, 4]);
+		// The layer is left untouched
+		assert.equal(canvas.terrain.placeables.length, 2);
+		assert.equal(Object.hasOwn(canvas.terrain, "placeables"), false);
+
+		game.user.isGM = true;
+		assert.deepEqual([0, 1, 2, 3].map(x => getCostEnhancedTerrainlayer(x, 0)), [3, 3, 2, 4]);
+	});
+
+	it("leaves out hidden templates for players", () => {
+		useSquareGrid();
+		canvas.terrain = new TerrainLayer([createPlaceable(0, 0, 1, 1)]);
+		canvas.templates.placeables = [createPlaceable(0, 0, 2, 1, {multiple: 4, hidden: true})];
+		game.user.isGM = false;
+		assert.deepEqual([0, 1].map(x => getCostEnhancedTerrainlayer(x, 0)), [2, 1]);
+		assert.equal(canvas.templates.placeables.length, 1);
+	});
+
+	it("keeps the environments that are ignored", () => {
+		useSquareGrid();
+		canvas.terrain = new TerrainLayer([
+			createPlaceable(0, 0, 1, 1, {hidden: true}),
+			createPlaceable(0, 0, 1, 1, {multiple: 3, environment: "water"}),
+		]);
+		game.user.isGM = false;
+		assert.equal(getCostEnhancedTerrainlayer(0, 0), 3);
+		assert.equal(getCostEnhancedTerrainlayer(0, 0, {ignoreEnvironments: ["water"]}), 1);
+	});
+});